@@ -0,0 +1,98 @@
+// Read a CSV or XLSX export of the dietary restrictions sheet into the same
+// array-of-rows shape that the Google Sheets API returns, so it can go
+// straight into parseSheetData(). XLSX files can hold one tab per group.
+
+import fs from 'fs/promises';
+import path from 'path';
+import readXlsxFile from 'read-excel-file/node';
+
+export const SUPPORTED_EXTENSIONS = ['.csv', '.xlsx'];
+
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and
+// newlines inside quotes. Returns an array of rows of strings.
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  // Strip a UTF-8 byte order mark (Excel adds one)
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+      continue;
+    }
+
+    if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      // Treat \r\n as a single line break
+      if (char === '\r' && input[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  // Last line without a trailing newline
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+// XLSX cells come back as strings, numbers, booleans (checkboxes), dates or
+// null. The parser expects the formatted strings the Sheets API returns.
+function cellToString(value) {
+  if (value === null || value === undefined) return '';
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  return String(value);
+}
+
+// Returns every tab in the file as [{ title, rows }]. A CSV file is a single
+// tab named after the file.
+export async function readSheetFileTabs(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+
+  if (extension === '.csv') {
+    const text = await fs.readFile(filePath, 'utf8');
+    return [{ title: path.basename(filePath, extension), rows: parseCsv(text) }];
+  }
+
+  if (extension === '.xlsx') {
+    const sheets = await readXlsxFile(filePath);
+    return sheets.map(({ sheet, data }) => ({
+      title: sheet,
+      rows: data.map(row => row.map(cellToString))
+    }));
+  }
+
+  throw new Error(
+    `Unsupported file type "${extension || path.basename(filePath)}". Expected one of: ${SUPPORTED_EXTENSIONS.join(', ')}`
+  );
+}
+
+// Rows of the first tab only
+export async function readSheetFile(filePath) {
+  const [firstTab] = await readSheetFileTabs(filePath);
+  return firstTab.rows;
+}
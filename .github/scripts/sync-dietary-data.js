@@ -5,6 +5,20 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import dotenv from 'dotenv';
+import { readSheetFileTabs } from './sheet-file.js';
+import { diffDietaryData, findDestructiveChanges, formatDiffReport } from './sync-diff.js';
+import { HISTORY_FILENAME, createHistory, recordChanges } from './sync-history.js';
+import { assignMemberIds } from './sync-member-ids.js';
+import {
+  loadVocabulary,
+  classifyCell,
+  canonicalRestrictionName,
+  vocabularyKey,
+  addRestriction,
+  createUnmatchedReport,
+  hasUnmatched,
+  formatUnmatchedReport
+} from './sync-vocabulary.js';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -15,7 +29,20 @@ const __dirname = path.dirname(__filename);
 // Configuration
 const SPREADSHEET_ID = process.env.GOOGLE_SPREADSHEET_ID;
 const CREDENTIALS_FILE = process.env.GOOGLE_CREDENTIALS_FILE || 'google_credentials.json';
-const OUTPUT_FILE = path.join(__dirname, '../../src/data/dietary-restrictions.json');
+const DATA_DIR = path.join(__dirname, '../../src/data');
+const OUTPUT_FILE = path.join(DATA_DIR, 'dietary-restrictions.json');
+
+// Multi-group support: one tab per group. Comma-separated tab names, or "*"
+// for every tab. When unset, only "Sheet1" is read (single community).
+const SHEET_TABS = process.env.GOOGLE_SHEET_TABS;
+const GROUPS_DIR = path.join(DATA_DIR, 'groups');
+const GROUP_DATA_FILENAME = 'dietary-restrictions.json';
+
+// Cell phrases -> severities and restriction-name synonyms
+const VOCABULARY_FILE = process.env.SYNC_VOCABULARY_FILE || path.join(__dirname, 'sync-vocabulary.json');
+
+// Group slugs become top-level URLs, so they can't shadow existing pages
+const RESERVED_GROUP_SLUGS = ['by-person', 'by-restriction', 'stats', 'preview', '_astro'];
 
 // Support for environment variable credentials
 const GOOGLE_SHEETS_CREDENTIALS = process.env.GOOGLE_SHEETS_CREDENTIALS;
@@ -105,32 +132,120 @@ async function fetchSheetData(auth, range = 'Sheet1') {
   }
 }
 
-function parseRestrictionCell(item, cellValue) {
-  const lowerValue = cellValue.toLowerCase();
-  let severity = "yes";
-  let notes = cellValue;
-
-  if (lowerValue.includes("airborne")) {
-    severity = "airborne";
-    // Extract notes from parentheses
-    const notesMatch = cellValue.match(/\((.*?)\)/);
-    notes = notesMatch ? notesMatch[1] : "";
-  } else if (lowerValue.includes("small amount")) {
-    severity = "small amounts";
-  } else if (lowerValue === "no") {
-    // "No" means they have this allergy/restriction
-    severity = "yes";
-    notes = "No";
-  } else if (lowerValue === "yes") {
-    // "Yes" is used for dietary preferences like Vegetarian, Vegan, None
-    severity = "yes";
-    notes = "Yes";
+async function fetchSheetTabTitles(auth) {
+  try {
+    const sheets = google.sheets({ version: 'v4', auth });
+    const response = await sheets.spreadsheets.get({
+      spreadsheetId: SPREADSHEET_ID,
+      fields: 'sheets.properties.title',
+    });
+
+    return response.data.sheets.map(sheet => sheet.properties.title);
+  } catch (error) {
+    if (error.code === 429) {
+      throw new ContentSyncError('API rate limit exceeded', 'RATE_LIMIT');
+    }
+    throw new ContentSyncError(
+      `Failed to list spreadsheet tabs: ${error.message}`,
+      'API_ERROR'
+    );
+  }
+}
+
+// A tab name used as an A1 range must be quoted if it has spaces etc.
+function quoteSheetRange(title) {
+  return `'${title.replace(/'/g, "''")}'`;
+}
+
+// Returns the tabs in the file as [{ title, rows }]
+async function loadSheetFile(filePath) {
+  let tabs;
+  try {
+    tabs = await readSheetFileTabs(filePath);
+  } catch (error) {
+    throw new ContentSyncError(
+      `Failed to read sheet file ${filePath}: ${error.message}`,
+      'FILE_ERROR'
+    );
+  }
+
+  if (tabs.length === 0 || tabs.every(tab => tab.rows.length === 0)) {
+    throw new ContentSyncError(`No data found in ${filePath}`, 'NO_DATA');
+  }
+
+  return tabs;
+}
+
+// "*" -> every tab, "Shul, School" -> those tabs, unset -> null (single sheet)
+function parseTabList(value) {
+  if (!value || !value.trim()) return null;
+  if (value.trim() === '*') return '*';
+  return value.split(',').map(tab => tab.trim()).filter(Boolean);
+}
+
+function selectTabNames(availableTitles, tabList) {
+  if (tabList === '*') return availableTitles;
+
+  const missing = tabList.filter(tab => !availableTitles.includes(tab));
+  if (missing.length > 0) {
+    throw new ContentSyncError(
+      `Tab(s) not found: ${missing.join(', ')}. Available tabs: ${availableTitles.join(', ')}`,
+      'TAB_NOT_FOUND'
+    );
+  }
+  return tabList;
+}
+
+function slugifyGroupName(name) {
+  return name
+    .toLowerCase()
+    .trim()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+function buildGroupInfo(titles) {
+  const seen = new Set();
+
+  return titles.map(title => {
+    const slug = slugifyGroupName(title);
+
+    if (!slug || RESERVED_GROUP_SLUGS.includes(slug)) {
+      throw new ContentSyncError(
+        `Tab "${title}" can't be used as a group name - rename the tab`,
+        'INVALID_GROUP'
+      );
+    }
+    if (seen.has(slug)) {
+      throw new ContentSyncError(
+        `Tabs "${title}" and another tab both map to the URL /${slug}/ - rename one of them`,
+        'INVALID_GROUP'
+      );
+    }
+    seen.add(slug);
+
+    return { name: title, slug };
+  });
+}
+
+async function loadSyncVocabulary() {
+  try {
+    return await loadVocabulary(VOCABULARY_FILE);
+  } catch (error) {
+    throw new ContentSyncError(
+      `Failed to load vocabulary from ${VOCABULARY_FILE}: ${error.message}`,
+      'INVALID_VOCABULARY'
+    );
   }
+}
 
+function parseRestrictionCell(item, cellValue, vocabulary) {
+  const { severity, notes } = classifyCell(cellValue, vocabulary, item);
   return { item, severity, notes };
 }
 
-function parseSheetData(rows) {
+// Anything the vocabulary doesn't recognize is added to `unmatched`
+function parseSheetData(rows, vocabulary, unmatched = createUnmatchedReport()) {
   if (rows.length < 2) {
     throw new ContentSyncError('Insufficient data in spreadsheet', 'INSUFFICIENT_DATA');
   }
@@ -147,6 +262,10 @@ function parseSheetData(rows) {
   }));
 
   const restrictionsList = [];
+  // lookup key -> item name, so unlisted names still merge across spellings
+  const itemsByKey = new Map();
+  // item name -> the column A spellings that became it
+  const spellings = new Map();
 
   // Process each row (restriction)
   for (let i = 1; i < rows.length; i++) {
@@ -167,15 +286,51 @@ function parseSheetData(rows) {
       continue;
     }
 
+    // Handle "Household" row - members with the same value are one family
+    if (restrictionName.toLowerCase().startsWith('household')) {
+      console.log('🏠 Processing "Household" row');
+      for (let j = 1; j < row.length && j <= headers.length; j++) {
+        const cellValue = row[j]?.toString().trim() || "";
+        if (cellValue) {
+          members[j - 1].household = cellValue;
+        }
+      }
+      continue;
+    }
+
+    // Handle "Aliases" row - comma-separated nicknames for the search box
+    if (restrictionName.toLowerCase().startsWith('alias')) {
+      console.log('🏷️  Processing "Aliases" row');
+      for (let j = 1; j < row.length && j <= headers.length; j++) {
+        const aliases = (row[j]?.toString() || "")
+          .split(',')
+          .map(alias => alias.trim())
+          .filter(Boolean);
+        if (aliases.length > 0) {
+          members[j - 1].aliases = aliases;
+        }
+      }
+      continue;
+    }
+
     // Skip "Attending?" row if present (legacy)
     if (restrictionName.toLowerCase().includes('attending')) {
       console.log('⏭️  Skipping "Attending?" row');
       continue;
     }
 
-    if (!restrictionsList.includes(restrictionName)) {
-      restrictionsList.push(restrictionName);
+    const canonical = canonicalRestrictionName(restrictionName, vocabulary);
+    const key = vocabularyKey(canonical.name);
+    if (!itemsByKey.has(key)) {
+      itemsByKey.set(key, canonical.name);
+      restrictionsList.push(canonical.name);
+      spellings.set(canonical.name, new Set());
+      if (!canonical.matched) {
+        unmatched.names.push(canonical.name);
+      }
     }
+    const item = itemsByKey.get(key);
+    spellings.get(item).add(restrictionName);
 
     // Process each member's column
     for (let j = 1; j < row.length && j <= headers.length; j++) {
@@ -183,26 +338,35 @@ function parseSheetData(rows) {
 
       // Include any non-empty cell value (No, Yes, airborne, small amounts, etc.)
       if (cellValue) {
-        const restriction = parseRestrictionCell(restrictionName, cellValue);
-        members[j - 1].restrictions.push(restriction);
+        const { severity, notes, matched } = classifyCell(cellValue, vocabulary, item);
+        if (!matched) {
+          unmatched.cells.push({ value: cellValue, member: members[j - 1].name, item });
+        }
+        addRestriction(members[j - 1].restrictions, { item, severity, notes });
       }
     }
   }
 
+  spellings.forEach((names, item) => {
+    if (names.size > 1) {
+      unmatched.merged.push({ name: item, spellings: [...names] });
+    }
+  });
+
   console.log(`✅ Processed ${members.length} members with ${restrictionsList.length} total restrictions`);
 
   return { members, restrictionsList };
 }
 
-async function saveDietaryData(data) {
+async function saveDietaryData(data, outputFile = OUTPUT_FILE) {
   try {
-    const outputDir = path.dirname(OUTPUT_FILE);
+    const outputDir = path.dirname(outputFile);
     await fs.mkdir(outputDir, { recursive: true });
 
     const jsonContent = JSON.stringify(data, null, 2);
-    await fs.writeFile(OUTPUT_FILE, jsonContent, 'utf8');
+    await fs.writeFile(outputFile, jsonContent, 'utf8');
 
-    console.log(`✅ Successfully saved dietary restrictions data to ${OUTPUT_FILE}`);
+    console.log(`✅ Successfully saved dietary restrictions data to ${outputFile}`);
   } catch (error) {
     throw new ContentSyncError(
       `Failed to save dietary data: ${error.message}`,
@@ -211,42 +375,138 @@ async function saveDietaryData(data) {
   }
 }
 
-async function main(testMode = false) {
+// The dataset currently on disk, or null on the first sync
+async function loadExistingData(outputFile) {
+  let content;
   try {
-    if (testMode) {
-      console.log('🧪 Testing dietary data sync with Google Sheets...');
-      console.log('');
-    } else {
-      console.log('🚀 Starting dietary data sync from Google Sheets...');
-    }
+    content = await fs.readFile(outputFile, 'utf8');
+  } catch {
+    return null;
+  }
 
-    // Validate environment
-    if (!SPREADSHEET_ID) {
-      throw new ContentSyncError('GOOGLE_SPREADSHEET_ID environment variable is required', 'MISSING_CONFIG');
-    }
+  try {
+    return JSON.parse(content);
+  } catch (error) {
+    console.warn(`⚠️  Ignoring unreadable existing data in ${outputFile}: ${error.message}`);
+    return null;
+  }
+}
 
-    if (testMode) {
-      console.log(`📊 Using spreadsheet ID: ${SPREADSHEET_ID}`);
-      console.log('');
+// History lives next to the dataset it describes
+function getHistoryFile(outputFile) {
+  return path.join(path.dirname(outputFile), HISTORY_FILENAME);
+}
+
+async function saveHistory(history, historyFile) {
+  try {
+    await fs.writeFile(historyFile, JSON.stringify(history, null, 2), 'utf8');
+  } catch (error) {
+    throw new ContentSyncError(
+      `Failed to save change history: ${error.message}`,
+      'SAVE_ERROR'
+    );
+  }
+}
+
+// Add the changelog to the GitHub Actions run summary when available
+async function writeStepSummary(markdown) {
+  if (!process.env.GITHUB_STEP_SUMMARY) return;
+  try {
+    await fs.appendFile(process.env.GITHUB_STEP_SUMMARY, `${markdown}\n`, 'utf8');
+  } catch (error) {
+    console.warn(`⚠️  Could not write step summary: ${error.message}`);
+  }
+}
+
+// Delete datasets for groups whose tab was removed or renamed
+async function removeStaleGroups(activeSlugs) {
+  let entries;
+  try {
+    entries = await fs.readdir(GROUPS_DIR, { withFileTypes: true });
+  } catch {
+    return; // No groups synced yet
+  }
+
+  for (const entry of entries) {
+    if (entry.isDirectory() && !activeSlugs.includes(entry.name)) {
+      await fs.rm(path.join(GROUPS_DIR, entry.name), { recursive: true, force: true });
+      console.log(`🗑️  Removed dataset for group "${entry.name}" (tab no longer synced)`);
     }
+  }
+}
 
-    // Load credentials
-    console.log('🔐 Loading Google Sheets credentials...');
-    const auth = await loadCredentials();
-    console.log('✅ Google authentication successful');
+async function main(testMode = false, { fromFile, tabs: tabsOption, force = false } = {}) {
+  try {
+    const source = fromFile ? path.basename(fromFile) : 'Google Sheets';
+    const tabList = parseTabList(tabsOption ?? SHEET_TABS);
+    const vocabulary = await loadSyncVocabulary();
 
     if (testMode) {
+      console.log(`🧪 Testing dietary data sync with ${source}...`);
       console.log('');
+    } else {
+      console.log(`🚀 Starting dietary data sync from ${source}...`);
     }
 
-    // Fetch data
-    if (testMode) {
-      console.log('📥 Testing data fetching...');
+    // [{ title, rows }] - title is null in single-sheet mode
+    let tabs;
+
+    if (fromFile) {
+      // Local export - no spreadsheet ID or credentials needed
+      console.log(`📂 Reading sheet export from ${fromFile}...`);
+      const fileTabs = await loadSheetFile(fromFile);
+
+      if (tabList) {
+        const names = selectTabNames(fileTabs.map(tab => tab.title), tabList);
+        tabs = names.map(name => fileTabs.find(tab => tab.title === name));
+      } else {
+        tabs = [{ title: null, rows: fileTabs[0].rows }];
+      }
+
+      tabs.forEach(tab => {
+        console.log(`📊 ${testMode ? 'Successfully read' : 'Read'} ${tab.rows.length} rows${tab.title ? ` from tab "${tab.title}"` : ' from file'}`);
+      });
     } else {
-      console.log('📥 Fetching data from Google Sheets...');
+      // Validate environment
+      if (!SPREADSHEET_ID) {
+        throw new ContentSyncError('GOOGLE_SPREADSHEET_ID environment variable is required', 'MISSING_CONFIG');
+      }
+
+      if (testMode) {
+        console.log(`📊 Using spreadsheet ID: ${SPREADSHEET_ID}`);
+        console.log('');
+      }
+
+      // Load credentials
+      console.log('🔐 Loading Google Sheets credentials...');
+      const auth = await loadCredentials();
+      console.log('✅ Google authentication successful');
+
+      if (testMode) {
+        console.log('');
+      }
+
+      // Fetch data
+      if (testMode) {
+        console.log('📥 Testing data fetching...');
+      } else {
+        console.log('📥 Fetching data from Google Sheets...');
+      }
+
+      if (tabList) {
+        const names = selectTabNames(await fetchSheetTabTitles(auth), tabList);
+        tabs = [];
+        for (const title of names) {
+          const rows = await fetchSheetData(auth, quoteSheetRange(title));
+          console.log(`📊 ${testMode ? 'Successfully fetched' : 'Fetched'} ${rows.length} rows from tab "${title}"`);
+          tabs.push({ title, rows });
+        }
+      } else {
+        const rows = await fetchSheetData(auth);
+        console.log(`📊 ${testMode ? 'Successfully fetched' : 'Fetched'} ${rows.length} rows from spreadsheet`);
+        tabs = [{ title: null, rows }];
+      }
     }
-    const rows = await fetchSheetData(auth);
-    console.log(`📊 ${testMode ? 'Successfully fetched' : 'Fetched'} ${rows.length} rows from spreadsheet`);
 
     if (testMode) {
       console.log('');
@@ -258,25 +518,134 @@ async function main(testMode = false) {
     } else {
       console.log('🔍 Parsing and validating data...');
     }
-    const dietaryData = parseSheetData(rows);
+
+    // Markdown for the GitHub Actions run summary
+    const summaryParts = [];
+
+    // Parse one tab and report what the vocabulary didn't recognize
+    const parseTab = (rows, label) => {
+      const unmatched = createUnmatchedReport();
+      const data = parseSheetData(rows, vocabulary, unmatched);
+
+      if (hasUnmatched(unmatched)) {
+        const report = formatUnmatchedReport(unmatched, vocabulary.defaultSeverity);
+        console.log(`\n🔤 Vocabulary check for ${label}:`);
+        console.log(report);
+        summaryParts.push(`### Vocabulary check for ${label}\n\n\`\`\`\n${report}\n\`\`\``);
+      }
+
+      return data;
+    };
+
+    // [{ outputFile, data }] - one per group, plus the site root dataset
+    const datasets = [];
+
+    if (tabList) {
+      const groups = buildGroupInfo(tabs.map(tab => tab.title));
+      tabs.forEach((tab, index) => {
+        console.log(`\n👥 Group "${tab.title}"`);
+        const data = { group: groups[index], ...parseTab(tab.rows, `group "${tab.title}"`) };
+        datasets.push({
+          outputFile: path.join(GROUPS_DIR, groups[index].slug, GROUP_DATA_FILENAME),
+          data
+        });
+      });
+
+      // The first group is also served at the site root
+      datasets.push({ outputFile: OUTPUT_FILE, data: datasets[0].data });
+    } else {
+      datasets.push({ outputFile: OUTPUT_FILE, data: parseTab(tabs[0].rows, 'the sheet') });
+    }
+
+    // Keep member ids stable across syncs. In group mode the root shares the
+    // first group's data, so it's done once, through the group.
+    for (const dataset of datasets) {
+      if (tabList && dataset.outputFile === OUTPUT_FILE) continue;
+      dataset.data = assignMemberIds(dataset.data, await loadExistingData(dataset.outputFile));
+    }
+    if (tabList) {
+      datasets.find(({ outputFile }) => outputFile === OUTPUT_FILE).data = datasets[0].data;
+    }
+
+    // Compare with the data on disk before anything is overwritten
+    const destructiveChanges = [];
+    // outputFile -> diff, for the change history
+    const diffs = new Map();
+
+    for (const { outputFile, data } of datasets) {
+      const previous = await loadExistingData(outputFile);
+      if (!previous) continue;
+
+      const isRoot = outputFile === OUTPUT_FILE;
+
+      // In group mode the root is a copy of the first group - only report
+      // it separately if it used to hold something else
+      if (tabList && isRoot && previous.group?.slug === data.group.slug) continue;
+
+      const label = data.group && !isRoot ? `group "${data.group.name}"` : 'site root';
+      const diff = diffDietaryData(previous, data);
+      diffs.set(outputFile, diff);
+      const report = formatDiffReport(diff);
+
+      console.log(`\n📝 Changes for ${label}:`);
+      console.log(report);
+      summaryParts.push(`### Changes for ${label}\n\n\`\`\`\n${report}\n\`\`\``);
+
+      findDestructiveChanges(diff, previous).forEach(reason => {
+        destructiveChanges.push(`${label}: ${reason}`);
+      });
+    }
+
+    if (destructiveChanges.length > 0) {
+      console.log('\n🛑 Potentially destructive changes:');
+      destructiveChanges.forEach(reason => console.log(`  • ${reason}`));
+      summaryParts.push(`### 🛑 Potentially destructive changes\n\n${destructiveChanges.map(r => `- ${r}`).join('\n')}`);
+    }
+
+    if (!testMode) {
+      await writeStepSummary(summaryParts.join('\n\n'));
+    }
+
+    if (destructiveChanges.length > 0) {
+      if (testMode) {
+        console.log('⚠️  A real sync would refuse to save these changes without --force');
+      } else if (force) {
+        console.log('⚠️  --force passed, saving anyway');
+      } else {
+        throw new ContentSyncError(
+          'Refusing to overwrite dietary data because airborne allergies or many members would be removed. ' +
+          'Check the sheet, or re-run with --force if these changes are intended.',
+          'DESTRUCTIVE_CHANGE'
+        );
+      }
+    }
 
     if (testMode) {
       console.log('');
 
       // Display sample results for test mode
-      if (dietaryData.members.length > 0) {
-        console.log('📝 Sample parsed members:');
-        dietaryData.members.slice(0, 3).forEach((member, index) => {
-          console.log(`\n--- Member ${index + 1} ---`);
-          console.log(`Name: ${member.name}`);
-          console.log(`Restrictions: ${member.restrictions.length}`);
-          if (member.restrictions.length > 0) {
-            member.restrictions.slice(0, 3).forEach(r => {
-              console.log(`  • ${r.item} (${r.severity})${r.notes ? ` - ${r.notes}` : ''}`);
+      datasets
+        .filter(({ outputFile }) => !tabList || outputFile !== OUTPUT_FILE)
+        .forEach(({ data }) => {
+          if (data.group) {
+            console.log(`\n===== Group: ${data.group.name} (/${data.group.slug}/) =====`);
+          }
+          if (data.members.length > 0) {
+            console.log('📝 Sample parsed members:');
+            data.members.slice(0, 3).forEach((member, index) => {
+              console.log(`\n--- Member ${index + 1} ---`);
+              console.log(`Name: ${member.name}`);
+              if (member.household) console.log(`Household: ${member.household}`);
+              if (member.aliases) console.log(`Aliases: ${member.aliases.join(', ')}`);
+              console.log(`Restrictions: ${member.restrictions.length}`);
+              if (member.restrictions.length > 0) {
+                member.restrictions.slice(0, 3).forEach(r => {
+                  console.log(`  • ${r.item} (${r.severity})${r.notes ? ` - ${r.notes}` : ''}`);
+                });
+              }
             });
           }
         });
-      }
 
       console.log('\n🎉 All tests passed! The sync system is working correctly.');
       return;
@@ -284,7 +653,34 @@ async function main(testMode = false) {
 
     // Save to file (production mode only)
     console.log('💾 Saving dietary restrictions data to JSON file...');
-    await saveDietaryData(dietaryData);
+    for (const { outputFile, data } of datasets) {
+      await saveDietaryData(data, outputFile);
+    }
+
+    // Record dated changes so the site can flag recently changed items
+    const today = new Date().toISOString().slice(0, 10);
+    const histories = new Map();
+    for (const { outputFile } of datasets) {
+      const historyFile = getHistoryFile(outputFile);
+      let history;
+
+      if (tabList && outputFile === OUTPUT_FILE) {
+        // The root serves the first group, so it gets that group's history
+        history = histories.get(datasets[0].outputFile);
+      } else {
+        history = (await loadExistingData(historyFile)) || createHistory();
+        if (diffs.has(outputFile)) {
+          history = recordChanges(history, diffs.get(outputFile), today);
+        }
+      }
+
+      histories.set(outputFile, history);
+      await saveHistory(history, historyFile);
+    }
+
+    if (tabList) {
+      await removeStaleGroups(datasets.map(({ data }) => data.group.slug));
+    }
 
     console.log('🎉 Dietary data sync completed successfully!');
 
@@ -301,12 +697,39 @@ async function main(testMode = false) {
 export {
   parseSheetData,
   parseRestrictionCell,
+  loadSyncVocabulary,
   fetchSheetData,
+  fetchSheetTabTitles,
+  loadSheetFile,
+  slugifyGroupName,
   loadCredentials
 };
 
+// Read a `--flag value` or `--flag=value` command line option
+function getCliOption(args, name) {
+  const prefix = `${name}=`;
+  const inline = args.find(arg => arg.startsWith(prefix));
+  if (inline) return inline.slice(prefix.length);
+
+  const index = args.indexOf(name);
+  if (index !== -1 && args[index + 1] && !args[index + 1].startsWith('--')) {
+    return args[index + 1];
+  }
+  return undefined;
+}
+
 // Only run the script if this file is executed directly
 if (import.meta.url === `file://${process.argv[1]}`) {
-  const testMode = process.argv.includes('--test');
-  main(testMode);
+  const args = process.argv.slice(2);
+  const testMode = args.includes('--test');
+  const fromFile = getCliOption(args, '--from-file');
+  const tabs = getCliOption(args, '--tabs');
+  const force = args.includes('--force');
+
+  if (args.includes('--from-file') && !fromFile) {
+    console.error('❌ --from-file requires a path to a .csv or .xlsx export');
+    process.exit(1);
+  }
+
+  main(testMode, { fromFile, tabs, force });
 }
@@ -0,0 +1,147 @@
+// Compare a freshly parsed dataset against the one already on disk, so the
+// sync can print what changed and refuse to silently drop safety-critical
+// data (e.g. someone's airborne allergy disappearing after a bad sheet edit).
+
+import { normalizeSeverity, severityRank } from '../../src/lib/severity.js';
+
+// More than this share of members vanishing in one sync is treated as an
+// accident (e.g. columns deleted or the wrong tab synced)
+const MAX_REMOVED_MEMBER_RATIO = 0.2;
+
+// "Can't eat" and everything more severe: the person must not be served it
+const CANT_EAT_RANK = severityRank('no');
+
+function restrictionKey(item) {
+  return item.trim().toLowerCase();
+}
+
+function indexRestrictions(member) {
+  const index = new Map();
+  // Normalize so data synced before the current severity levels doesn't show
+  // up as a change on every entry
+  member.restrictions.forEach(r => index.set(restrictionKey(r.item), {
+    ...r,
+    severity: normalizeSeverity(r.severity, r.notes, r.item)
+  }));
+  return index;
+}
+
+export function diffDietaryData(previous, next) {
+  const diff = {
+    addedMembers: [],
+    removedMembers: [],
+    approvalChanges: [],
+    addedRestrictions: [],
+    removedRestrictions: [],
+    severityChanges: []
+  };
+
+  const previousMembers = new Map(previous.members.map(m => [m.name, m]));
+  const nextMembers = new Map(next.members.map(m => [m.name, m]));
+
+  next.members.forEach(member => {
+    if (!previousMembers.has(member.name)) {
+      diff.addedMembers.push(member);
+    }
+  });
+
+  previous.members.forEach(member => {
+    if (!nextMembers.has(member.name)) {
+      diff.removedMembers.push(member);
+    }
+  });
+
+  next.members.forEach(member => {
+    const before = previousMembers.get(member.name);
+    if (!before) return;
+
+    if (Boolean(before.approved) !== Boolean(member.approved)) {
+      diff.approvalChanges.push({ name: member.name, approved: Boolean(member.approved) });
+    }
+
+    const beforeRestrictions = indexRestrictions(before);
+    const afterRestrictions = indexRestrictions(member);
+
+    afterRestrictions.forEach((r, key) => {
+      const old = beforeRestrictions.get(key);
+      if (!old) {
+        diff.addedRestrictions.push({ name: member.name, item: r.item, severity: r.severity });
+      } else if (old.severity !== r.severity) {
+        diff.severityChanges.push({ name: member.name, item: r.item, from: old.severity, to: r.severity });
+      }
+    });
+
+    beforeRestrictions.forEach((r, key) => {
+      if (!afterRestrictions.has(key)) {
+        diff.removedRestrictions.push({ name: member.name, item: r.item, severity: r.severity });
+      }
+    });
+  });
+
+  return diff;
+}
+
+export function hasChanges(diff) {
+  return Object.values(diff).some(list => list.length > 0);
+}
+
+// Returns a list of human-readable reasons the change looks destructive
+export function findDestructiveChanges(diff, previous) {
+  const reasons = [];
+
+  // Airborne entries that disappear, whether the restriction was deleted,
+  // downgraded, or the whole member is gone
+  diff.removedRestrictions
+    .filter(r => r.severity === 'airborne')
+    .forEach(r => reasons.push(`${r.name}: airborne "${r.item}" was removed`));
+
+  diff.severityChanges
+    .filter(c => c.from === 'airborne')
+    .forEach(c => reasons.push(`${c.name}: "${c.item}" is no longer marked airborne (now ${c.to})`));
+
+  // Any other step down from a level the person can't eat at all
+  diff.severityChanges
+    .filter(c => c.from !== 'airborne' &&
+      severityRank(c.from) <= CANT_EAT_RANK &&
+      severityRank(c.to) > severityRank(c.from))
+    .forEach(c => reasons.push(`${c.name}: "${c.item}" was downgraded from ${c.from} to ${c.to}`));
+
+  diff.removedMembers.forEach(member => {
+    member.restrictions
+      .filter(r => r.severity === 'airborne')
+      .forEach(r => reasons.push(`${member.name} (airborne "${r.item}") was removed from the sheet`));
+  });
+
+  const maxRemoved = Math.max(1, Math.floor(previous.members.length * MAX_REMOVED_MEMBER_RATIO));
+  if (diff.removedMembers.length > maxRemoved) {
+    reasons.push(
+      `${diff.removedMembers.length} of ${previous.members.length} members would be removed (limit ${maxRemoved})`
+    );
+  }
+
+  return reasons;
+}
+
+export function formatDiffReport(diff) {
+  if (!hasChanges(diff)) {
+    return 'No changes.';
+  }
+
+  const lines = [];
+  const section = (title, entries) => {
+    if (entries.length === 0) return;
+    lines.push(`${title} (${entries.length}):`);
+    entries.forEach(entry => lines.push(`  ${entry}`));
+  };
+
+  section('Members added', diff.addedMembers.map(m => `+ ${m.name}`));
+  section('Members removed', diff.removedMembers.map(m => `- ${m.name}`));
+  section('Approval changes', diff.approvalChanges.map(c =>
+    `~ ${c.name}: ${c.approved ? 'approved' : 'no longer approved'}`
+  ));
+  section('Restrictions added', diff.addedRestrictions.map(r => `+ ${r.name}: ${r.item} (${r.severity})`));
+  section('Restrictions removed', diff.removedRestrictions.map(r => `- ${r.name}: ${r.item} (${r.severity})`));
+  section('Severity changes', diff.severityChanges.map(c => `~ ${c.name}: ${c.item} ${c.from} → ${c.to}`));
+
+  return lines.join('\n');
+}
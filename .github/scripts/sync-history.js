@@ -0,0 +1,28 @@
+// Dated log of restriction changes, kept next to each dataset so the site
+// can show which items changed recently. Built from the sync's diff, so the
+// first sync of a dataset records nothing - there is nothing to compare to.
+
+export const HISTORY_FILENAME = 'restriction-history.json';
+
+export function createHistory() {
+  return { changes: [] };
+}
+
+// Append the changes in `diff` (from diffDietaryData) dated `date`
+// (YYYY-MM-DD). Members added or removed as a whole aren't recorded - only
+// changes to someone hosts may already know.
+export function recordChanges(history, diff, date) {
+  const changes = [
+    ...diff.addedRestrictions.map(r => ({
+      date, member: r.name, item: r.item, change: 'added', severity: r.severity
+    })),
+    ...diff.removedRestrictions.map(r => ({
+      date, member: r.name, item: r.item, change: 'removed', severity: r.severity
+    })),
+    ...diff.severityChanges.map(c => ({
+      date, member: c.name, item: c.item, change: 'severity', from: c.from, to: c.to
+    }))
+  ];
+
+  return { ...history, changes: [...history.changes, ...changes] };
+}
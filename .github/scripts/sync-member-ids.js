@@ -0,0 +1,26 @@
+// Stable numeric ids for members, so share links can refer to people without
+// their names. A member keeps their id across syncs (matched by name), new
+// members get the next unused id, and the ids of removed members are never
+// handed out again - an old link can lose someone, but never point at
+// someone else. Renaming a member in the sheet gives them a new id.
+
+// `previous` is the dataset on disk (or null). Returns `data` with `id` on
+// every member and `nextMemberId` for the next sync.
+export function assignMemberIds(data, previous) {
+  const previousIds = new Map(
+    (previous?.members || [])
+      .filter(member => Number.isInteger(member.id))
+      .map(member => [member.name.toLowerCase(), member.id])
+  );
+  let nextId = Math.max(
+    previous?.nextMemberId || 1,
+    ...[...previousIds.values()].map(id => id + 1)
+  );
+
+  const members = data.members.map(member => ({
+    id: previousIds.get(member.name.toLowerCase()) ?? nextId++,
+    ...member
+  }));
+
+  return { ...data, members, nextMemberId: nextId };
+}
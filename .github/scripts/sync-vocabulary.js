@@ -0,0 +1,166 @@
+// Cell vocabulary for the sync: which phrases in a member's cell mean which
+// severity, and which restriction names in column A are the same item.
+// The config lives in sync-vocabulary.json so organizers can extend it
+// without touching code.
+
+import fs from 'fs/promises';
+import { SEVERITY_LEVELS, compareSeverity, isLegacyDietItem } from '../../src/lib/severity.js';
+
+const SEVERITY_IDS = SEVERITY_LEVELS.map(level => level.id);
+
+// Case- and whitespace-insensitive lookup key
+export function vocabularyKey(value) {
+  return value.trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+function isStringList(value) {
+  return value === undefined || (Array.isArray(value) && value.every(v => typeof v === 'string'));
+}
+
+// Validate the raw config and build the lookup tables parseSheetData uses
+export function createVocabulary(config) {
+  if (!Array.isArray(config?.severities) || config.severities.length === 0) {
+    throw new Error('"severities" must be a non-empty list of rules');
+  }
+
+  const rules = config.severities.map((rule, index) => {
+    if (!SEVERITY_IDS.includes(rule.severity)) {
+      throw new Error(
+        `severities[${index}]: unknown severity "${rule.severity}" (expected one of ${SEVERITY_IDS.join(', ')})`
+      );
+    }
+    if (!isStringList(rule.exact) || !isStringList(rule.contains)) {
+      throw new Error(`severities[${index}]: "exact" and "contains" must be lists of strings`);
+    }
+    if (rule.notes !== undefined && rule.notes !== 'parentheses') {
+      throw new Error(`severities[${index}]: "notes" can only be "parentheses"`);
+    }
+    if (rule.dietRowsOnly !== undefined && typeof rule.dietRowsOnly !== 'boolean') {
+      throw new Error(`severities[${index}]: "dietRowsOnly" must be true or false`);
+    }
+
+    return {
+      severity: rule.severity,
+      exact: (rule.exact || []).map(vocabularyKey),
+      contains: (rule.contains || []).map(vocabularyKey),
+      notesFromParentheses: rule.notes === 'parentheses',
+      dietRowsOnly: rule.dietRowsOnly === true
+    };
+  });
+
+  const defaultSeverity = config.defaultSeverity ?? 'no';
+  if (!SEVERITY_IDS.includes(defaultSeverity)) {
+    throw new Error(`unknown defaultSeverity "${defaultSeverity}"`);
+  }
+
+  // synonym key -> canonical name
+  const names = new Map();
+  Object.entries(config.restrictionNames || {}).forEach(([canonical, synonyms]) => {
+    if (!isStringList(synonyms)) {
+      throw new Error(`restrictionNames["${canonical}"] must be a list of strings`);
+    }
+
+    [canonical, ...synonyms].forEach(name => {
+      const key = vocabularyKey(name);
+      const existing = names.get(key);
+      if (existing && existing !== canonical) {
+        throw new Error(`"${name}" is listed under both "${existing}" and "${canonical}"`);
+      }
+      names.set(key, canonical);
+    });
+  });
+
+  return { rules, defaultSeverity, names };
+}
+
+export async function loadVocabulary(filePath) {
+  const config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  return createVocabulary(config);
+}
+
+// Returns { severity, notes, matched }. Cells no rule recognizes fall back
+// to the default severity with matched: false, so they can be reported.
+// `item` is the row's restriction name: "dietRowsOnly" rules skip every row
+// but the diet ones (a "Yes" under Vegetarian is a preference, under Dairy
+// it's an allergy).
+export function classifyCell(cellValue, vocabulary, item = '') {
+  const key = vocabularyKey(cellValue);
+  const isDietRow = isLegacyDietItem(item);
+
+  const rule = vocabulary.rules.find(r =>
+    (!r.dietRowsOnly || isDietRow) &&
+    (r.exact.includes(key) || r.contains.some(phrase => key.includes(phrase)))
+  );
+
+  if (!rule) {
+    return { severity: vocabulary.defaultSeverity, notes: cellValue, matched: false };
+  }
+
+  let notes = cellValue;
+  if (rule.notesFromParentheses) {
+    const notesMatch = cellValue.match(/\((.*?)\)/);
+    notes = notesMatch ? notesMatch[1] : '';
+  }
+
+  return { severity: rule.severity, notes, matched: true };
+}
+
+// Returns { name, matched }. Names not in the vocabulary are kept with
+// whitespace tidied up.
+export function canonicalRestrictionName(name, vocabulary) {
+  const key = vocabularyKey(name);
+  if (vocabulary.names.has(key)) {
+    return { name: vocabulary.names.get(key), matched: true };
+  }
+  return { name: name.trim().replace(/\s+/g, ' '), matched: false };
+}
+
+// Add a restriction to a member, keeping only the most severe entry when
+// two rows map to the same item
+export function addRestriction(restrictions, restriction) {
+  const index = restrictions.findIndex(r => r.item === restriction.item);
+  if (index === -1) {
+    restrictions.push(restriction);
+  } else if (compareSeverity(restriction, restrictions[index]) < 0) {
+    restrictions[index] = restriction;
+  }
+}
+
+// Collects everything the vocabulary didn't recognize during one parse
+export function createUnmatchedReport() {
+  return { cells: [], names: [], merged: [] };
+}
+
+export function hasUnmatched(report) {
+  return report.cells.length > 0 || report.names.length > 0 || report.merged.length > 0;
+}
+
+export function formatUnmatchedReport(report, defaultSeverity) {
+  const lines = [];
+
+  if (report.names.length > 0) {
+    lines.push(`Restriction names not in the vocabulary (${report.names.length}):`);
+    report.names.forEach(name => lines.push(`  ? ${name}`));
+  }
+
+  if (report.merged.length > 0) {
+    lines.push(`Rows merged into one item (${report.merged.length}):`);
+    report.merged.forEach(({ name, spellings }) =>
+      lines.push(`  = ${name} ← ${spellings.map(s => `"${s}"`).join(', ')}`)
+    );
+  }
+
+  if (report.cells.length > 0) {
+    // Group by value so a typo repeated down a column is one line
+    const byValue = new Map();
+    report.cells.forEach(({ value, member, item }) => {
+      if (!byValue.has(value)) byValue.set(value, []);
+      byValue.get(value).push(`${member}/${item}`);
+    });
+
+    lines.push(`Unrecognized cell values, treated as "${defaultSeverity}" (${byValue.size}):`);
+    byValue.forEach((cells, value) => lines.push(`  ? "${value}" in ${cells.join(', ')}`));
+  }
+
+  return lines.join('\n');
+}
@@ -1,8 +1,50 @@
 import { h } from 'preact';
-import { useState } from 'preact/hooks';
+import { useState, useEffect } from 'preact/hooks';
+import RestrictionsBySeverity from './RestrictionsBySeverity.jsx';
+import RecentChangeBadge from './RecentChangeBadge.jsx';
+import { getRecentRemovals, formatChangeDate } from '../lib/recent-changes.js';
+import { SEVERITY_LEVELS } from '../lib/severity.js';
+import { getHouseholds } from '../lib/members.js';
+import { getLookupItems } from '../lib/restrictions.js';
+import {
+  DIRECTORY_SORTS,
+  createDirectoryFilters,
+  hasActiveFilters,
+  filterDirectory,
+  getDirectoryRestrictions,
+  buildDirectoryParams,
+  parseDirectoryParams
+} from '../lib/directory-filters.js';
+import { withDataset } from './UnlockGate.jsx';
 
-export default function ByPersonView({ data }) {
-  const [searchQuery, setSearchQuery] = useState("");
+const chipClass = (active) => `inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium border transition-colors ${
+  active
+    ? 'bg-blue-600 border-blue-600 text-white'
+    : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+}`;
+
+function toggleValue(list, value) {
+  return list.includes(value) ? list.filter(v => v !== value) : [...list, value];
+}
+
+function ByPersonView({ data }) {
+  const [filters, setFilters] = useState(createDirectoryFilters());
+  const [showFilters, setShowFilters] = useState(false);
+
+  // Filters come from the URL, so a filtered directory can be shared
+  useEffect(() => {
+    const fromUrl = parseDirectoryParams(window.location.search);
+    setFilters(fromUrl);
+    if (hasActiveFilters({ ...fromUrl, query: '' })) setShowFilters(true);
+  }, []);
+
+  function updateFilters(changes) {
+    const next = { ...filters, ...changes };
+    setFilters(next);
+
+    const params = buildDirectoryParams(next).toString();
+    window.history.replaceState({}, '', params ? `${window.location.pathname}?${params}` : window.location.pathname);
+  }
 
   if (!data || !data.members || data.members.length === 0) {
     return (
@@ -14,23 +56,9 @@ export default function ByPersonView({ data }) {
     );
   }
 
-  // Filter members based on search query and approval status
-  const filteredMembers = data.members.filter(member => {
-    // Only show approved members
-    if (!member.approved) return false;
-
-    if (!searchQuery.trim()) return true;
-    const query = searchQuery.toLowerCase();
-    return member.name.toLowerCase().includes(query) ||
-           member.restrictions.some(r => r.item.toLowerCase().includes(query));
-  });
-
-  // Filter out "Attending?" from restrictions
-  const getMemberRestrictions = (member) => {
-    return member.restrictions.filter(r =>
-      !r.item.toLowerCase().includes('attending')
-    );
-  };
+  const approvedMembers = data.members.filter(member => member.approved);
+  const filteredMembers = filterDirectory(data.members, filters);
+  const households = getHouseholds(approvedMembers);
 
   return (
     <div class="space-y-6">
@@ -41,21 +69,118 @@ export default function ByPersonView({ data }) {
         </h2>
         <input
           type="text"
-          value={searchQuery}
-          onInput={(e) => setSearchQuery(e.target.value)}
+          value={filters.query}
+          onInput={(e) => updateFilters({ query: e.target.value })}
           placeholder="Search by name or restriction..."
           class="w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
         />
+
+        <div class="mt-3 flex flex-wrap items-center gap-3">
+          <button
+            onClick={() => setShowFilters(prev => !prev)}
+            aria-expanded={showFilters}
+            class="text-sm font-semibold text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            <i class="fa-solid fa-filter mr-1"></i>
+            {showFilters ? 'Hide filters' : 'Filters'}
+          </button>
+          <label class="inline-flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300">
+            Sort by
+            <select
+              value={filters.sort}
+              onChange={(e) => updateFilters({ sort: e.target.value })}
+              class="px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+            >
+              {DIRECTORY_SORTS.map(option => (
+                <option key={option.id} value={option.id}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <span class="ml-auto text-sm text-gray-600 dark:text-gray-400">
+            Showing {filteredMembers.length} of {approvedMembers.length}
+          </span>
+          {hasActiveFilters(filters) && (
+            <button
+              onClick={() => updateFilters(createDirectoryFilters({ sort: filters.sort }))}
+              class="text-sm font-semibold text-gray-600 dark:text-gray-400 hover:underline"
+            >
+              Clear filters
+            </button>
+          )}
+        </div>
+
+        {showFilters && (
+          <div class="mt-4 space-y-4">
+            <div>
+              <h3 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Restriction</h3>
+              <div class="flex flex-wrap gap-2">
+                {getLookupItems(data.restrictionsList).map(item => (
+                  <button
+                    key={item}
+                    onClick={() => updateFilters({ items: toggleValue(filters.items, item), noRestrictions: false })}
+                    aria-pressed={filters.items.includes(item)}
+                    class={chipClass(filters.items.includes(item))}
+                  >
+                    {item}
+                  </button>
+                ))}
+              </div>
+            </div>
+
+            <div>
+              <h3 class="text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Severity</h3>
+              <div class="flex flex-wrap gap-2">
+                {SEVERITY_LEVELS.map(level => (
+                  <button
+                    key={level.id}
+                    onClick={() => updateFilters({ severities: toggleValue(filters.severities, level.id), noRestrictions: false })}
+                    aria-pressed={filters.severities.includes(level.id)}
+                    class={chipClass(filters.severities.includes(level.id))}
+                  >
+                    <i class={`fa-solid ${level.icon}`}></i>
+                    {level.label}
+                  </button>
+                ))}
+                <button
+                  onClick={() => updateFilters({ noRestrictions: !filters.noRestrictions, items: [], severities: [] })}
+                  aria-pressed={filters.noRestrictions}
+                  class={chipClass(filters.noRestrictions)}
+                >
+                  No restrictions
+                </button>
+              </div>
+            </div>
+
+            {households.length > 0 && (
+              <label class="block">
+                <span class="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">Household</span>
+                <select
+                  value={filters.household}
+                  onChange={(e) => updateFilters({ household: e.target.value })}
+                  class="px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+                >
+                  <option value="">Any household</option>
+                  {households.map(household => (
+                    <option key={household.name} value={household.name}>
+                      {household.name} ({household.members.length})
+                    </option>
+                  ))}
+                </select>
+              </label>
+            )}
+          </div>
+        )}
       </div>
 
       {/* Members Grid */}
       <div class="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
         {filteredMembers.map(member => {
-          const restrictions = getMemberRestrictions(member);
+          // Same list the filters use, so "No restrictions" matches the card
+          const restrictions = getDirectoryRestrictions(member);
           const airborneRestrictions = restrictions.filter(r => r.severity === "airborne");
           const otherRestrictions = restrictions.filter(r => r.severity !== "airborne");
-          const hasOnlyNone = restrictions.length === 1 && restrictions[0].item.toLowerCase() === 'none';
           const hasNoRestrictions = restrictions.length === 0;
+          const recentRemovals = getRecentRemovals(member);
 
           return (
             <div
@@ -76,7 +201,7 @@ export default function ByPersonView({ data }) {
                   <ul class="space-y-1">
                     {airborneRestrictions.map(r => (
                       <li key={r.item} class="text-sm text-red-900 dark:text-red-200">
-                        • {r.item}
+                        • {r.item} <RecentChangeBadge date={r.changedAt} />
                       </li>
                     ))}
                   </ul>
@@ -84,23 +209,21 @@ export default function ByPersonView({ data }) {
               )}
 
               {/* Other Restrictions */}
-              {hasOnlyNone || hasNoRestrictions ? (
+              {hasNoRestrictions ? (
                 <p class="text-gray-700 dark:text-gray-300 italic">None</p>
               ) : otherRestrictions.length > 0 ? (
-                <div>
-                  <h4 class="text-sm font-semibold text-gray-700 dark:text-gray-400 mb-2">
-                    Restrictions
-                  </h4>
-                  <ul class="space-y-1">
-                    {otherRestrictions.map(r => (
-                      <li key={r.item} class="text-sm text-gray-700 dark:text-gray-300">
-                        • {r.item}
-                        {r.severity !== 'yes' && ` (${r.severity})`}
-                      </li>
-                    ))}
-                  </ul>
-                </div>
+                <RestrictionsBySeverity restrictions={otherRestrictions} />
               ) : null}
+
+              {/* Items taken off their list recently */}
+              {recentRemovals.length > 0 && (
+                <p class="mt-3 text-sm text-purple-800 dark:text-purple-300 flex items-start gap-1">
+                  <i class="fa-solid fa-clock-rotate-left mt-0.5"></i>
+                  <span>
+                    Removed recently: {recentRemovals.map(r => `${r.item} (${formatChangeDate(r.removedAt)})`).join(', ')}
+                  </span>
+                </p>
+              )}
             </div>
           );
         })}
@@ -108,9 +231,13 @@ export default function ByPersonView({ data }) {
 
       {filteredMembers.length === 0 && (
         <div class="text-center py-8 text-gray-500 dark:text-gray-400">
-          No members found matching "{searchQuery}"
+          {hasActiveFilters({ ...filters, query: '' })
+            ? 'No members match these filters'
+            : `No members found matching "${filters.query}"`}
         </div>
       )}
     </div>
   );
 }
+
+export default withDataset(ByPersonView);
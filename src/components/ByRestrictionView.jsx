@@ -0,0 +1,107 @@
+import { h } from 'preact';
+import { groupBySeverity } from '../lib/severity.js';
+import { formatPeopleCount } from '../lib/summary.js';
+import {
+  getLookupItems,
+  getRestrictionSlug,
+  findMembersWithRestriction
+} from '../lib/restrictions.js';
+import RecentChangeBadge from './RecentChangeBadge.jsx';
+import { withDataset } from './UnlockGate.jsx';
+
+// Every restriction item with how many approved members listed it
+function RestrictionIndex({ data, basePath }) {
+  const items = getLookupItems(data.restrictionsList)
+    .map(item => ({ item, count: findMembersWithRestriction(data.members, item).length }))
+    .sort((a, b) => b.count - a.count || a.item.localeCompare(b.item));
+
+  return (
+    <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500">
+      <h2 class="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-2">
+        By Restriction
+      </h2>
+      <p class="text-gray-700 dark:text-gray-300 mb-4">
+        Who avoids what, across everyone in the directory.
+      </p>
+      <ul class="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-2">
+        {items.map(({ item, count }) => (
+          <li key={item}>
+            <a
+              href={`${basePath}/by-restriction/${getRestrictionSlug(item)}`}
+              class="flex items-center justify-between gap-2 px-4 py-2 rounded-lg bg-gray-50 dark:bg-gray-700 text-gray-900 dark:text-gray-100 hover:bg-blue-50 dark:hover:bg-blue-900/30 transition-colors"
+            >
+              <span class="font-medium">{item}</span>
+              <span class="text-sm text-gray-600 dark:text-gray-400">{formatPeopleCount(count)}</span>
+            </a>
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+// Everyone who listed one item, grouped by severity
+function RestrictionMembers({ data, item, basePath }) {
+  const people = findMembersWithRestriction(data.members, item);
+  const groups = groupBySeverity(people);
+
+  return (
+    <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500 space-y-6">
+      <div>
+        <a href={`${basePath}/by-restriction`} class="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+          ← All restrictions
+        </a>
+        <h2 class="text-2xl font-bold text-gray-900 dark:text-gray-100 mt-2">
+          {item}
+        </h2>
+        <p class="text-gray-700 dark:text-gray-300">
+          {formatPeopleCount(people.length)}
+        </p>
+      </div>
+
+      {groups.length > 0 ? groups.map(([level, entries]) => (
+        <div
+          key={level.id}
+          class={level.id === 'airborne' ? 'bg-red-50 dark:bg-red-950 border-2 border-red-500 dark:border-red-600 rounded-lg p-4' : ''}
+        >
+          <h3 class={`text-lg font-bold mb-2 flex items-center gap-2 ${level.headingClass}`}>
+            <i class={`fa-solid ${level.icon}`}></i>
+            {level.label} ({entries.length})
+          </h3>
+          <ul class="ml-6 space-y-1 list-disc marker:text-blue-600">
+            {entries.map(p => (
+              <li key={p.name} class="text-gray-900 dark:text-gray-100">
+                {p.name} <RecentChangeBadge date={p.changedAt} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      )) : (
+        <p class="text-gray-700 dark:text-gray-300 italic">
+          Nobody in the directory has listed {item}.
+        </p>
+      )}
+    </div>
+  );
+}
+
+// /by-restriction (no `item`) and /by-restriction/<item>, the reverse of
+// ByPersonView: "who is gluten-free?" rather than "what does Chava avoid?".
+// `item` is the restriction's name from restrictionsList.
+function ByRestrictionView({ data, item = null, basePath = '' }) {
+  if (!data || !data.members || data.members.length === 0) {
+    return (
+      <div class="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-6">
+        <p class="text-yellow-800 dark:text-yellow-200">
+          No dietary restrictions data available. Please configure Google Sheets and run the sync script.
+        </p>
+      </div>
+    );
+  }
+
+  return item
+    ? <RestrictionMembers data={data} item={item} basePath={basePath} />
+    : <RestrictionIndex data={data} basePath={basePath} />;
+}
+
+export default withDataset(ByRestrictionView);
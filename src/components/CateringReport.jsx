@@ -0,0 +1,130 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import { buildCateringReport, formatCateringAsText, formatAirborneLine } from '../lib/catering.js';
+import { formatPeopleCount } from '../lib/summary.js';
+import { downloadFile } from '../lib/download.js';
+
+// Headcounts per meal variant for ordering from a caterer. `summaries` has
+// one summary per meal (a single meal, or every meal of an event).
+export default function CateringReport({ summaries }) {
+  const [showNames, setShowNames] = useState(false);
+  const [copied, setCopied] = useState(false);
+  const [downloaded, setDownloaded] = useState(false);
+
+  const reports = summaries.map(buildCateringReport);
+  const isEvent = summaries.length > 1;
+
+  async function handleCopy() {
+    await navigator.clipboard.writeText(formatCateringAsText(summaries));
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  }
+
+  function handleDownload() {
+    const title = isEvent ? 'event' : summaries[0].mealName;
+    const filename = title
+      ? `${title.replace(/\s+/g, '-')}-catering-order.txt`
+      : 'catering-order.txt';
+
+    downloadFile(filename, formatCateringAsText(summaries));
+    setDownloaded(true);
+    setTimeout(() => setDownloaded(false), 2000);
+  }
+
+  return (
+    <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500 space-y-4">
+      <div class="flex justify-between items-start">
+        <div>
+          <h3 class="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-2">
+            Catering Order
+          </h3>
+          <p class="text-sm text-gray-700 dark:text-gray-300">
+            How many of each meal to order. People with several restrictions get one meal that avoids all of them.
+          </p>
+        </div>
+        <div class="flex gap-1 items-center">
+          <button
+            onClick={handleCopy}
+            class="w-8 h-8 flex items-center justify-center text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 focus:outline-none transition-colors text-lg"
+            title={copied ? 'Copied!' : 'Copy order sheet'}
+            aria-label="Copy order sheet"
+          >
+            <i class={`fa-solid ${copied ? 'fa-check' : 'fa-copy'}`}></i>
+          </button>
+          <button
+            onClick={handleDownload}
+            class="w-8 h-8 flex items-center justify-center text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 focus:outline-none transition-colors text-lg"
+            title={downloaded ? 'Downloaded!' : 'Download order sheet'}
+            aria-label="Download order sheet"
+          >
+            <i class={`fa-solid ${downloaded ? 'fa-check' : 'fa-download'}`}></i>
+          </button>
+        </div>
+      </div>
+
+      <label class="inline-flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+        <input
+          type="checkbox"
+          checked={showNames}
+          onChange={(e) => setShowNames(e.target.checked)}
+          class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+        />
+        Show who each meal is for
+      </label>
+
+      {reports.map((report, index) => (
+        <section key={index} class="space-y-2">
+          {(isEvent || summaries[index].mealName) && (
+            <h4 class="font-bold text-gray-900 dark:text-gray-100">
+              {summaries[index].mealName}{' '}
+              <span class="text-sm font-normal text-gray-500 dark:text-gray-400">
+                ({formatPeopleCount(report.total)})
+              </span>
+            </h4>
+          )}
+          {report.airborne.length > 0 && (
+            <ul class="bg-red-50 dark:bg-red-950 border-2 border-red-500 dark:border-red-600 rounded-lg px-4 py-2 space-y-1">
+              {report.airborne.map(item => (
+                <li key={item} class="font-bold text-red-700 dark:text-red-400">
+                  <i class="fa-solid fa-triangle-exclamation mr-2"></i>
+                  {formatAirborneLine(item)}
+                </li>
+              ))}
+            </ul>
+          )}
+          <table class="w-full text-left">
+            <tbody class="divide-y divide-gray-200 dark:divide-gray-700">
+              {report.regularCount > 0 && (
+                <tr>
+                  <td class="py-2 pr-4 w-16 text-right font-bold text-gray-900 dark:text-gray-100">{report.regularCount}</td>
+                  <td class="py-2 text-gray-900 dark:text-gray-100">Regular</td>
+                </tr>
+              )}
+              {report.variants.map(variant => (
+                <tr key={variant.label}>
+                  <td class="py-2 pr-4 w-16 text-right align-top font-bold text-gray-900 dark:text-gray-100">{variant.count}</td>
+                  <td class="py-2 text-gray-900 dark:text-gray-100">
+                    <span class="inline-block first-letter:uppercase">{variant.label}</span>
+                    {variant.sealed && (
+                      <i class="fa-solid fa-box ml-2 text-red-600 dark:text-red-400" title="Packed and labelled separately"></i>
+                    )}
+                    {showNames && (
+                      <div class="text-sm text-gray-600 dark:text-gray-400">{variant.people.join(', ')}</div>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </section>
+      ))}
+
+      {reports.some(report => report.variants.some(variant => variant.sealed)) && (
+        <p class="text-sm text-gray-700 dark:text-gray-300">
+          <i class="fa-solid fa-box mr-1 text-red-600 dark:text-red-400"></i>
+          Sealed meals are for severe allergies - ask the caterer to pack and label them separately.
+        </p>
+      )}
+    </div>
+  );
+}
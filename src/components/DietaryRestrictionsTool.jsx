@@ -1,5 +1,28 @@
 import { h } from 'preact';
 import { useState, useEffect, useRef } from 'preact/hooks';
+import MenuPlanner from './MenuPlanner.jsx';
+import IngredientChecker from './IngredientChecker.jsx';
+import CateringReport from './CateringReport.jsx';
+import SafeForTablePanel from './SafeForTablePanel.jsx';
+import SummaryDetails from './SummaryDetails.jsx';
+import EventSummary from './EventSummary.jsx';
+import GuestListImport from './GuestListImport.jsx';
+import GuestForm from './GuestForm.jsx';
+import SavedMealsPanel from './SavedMealsPanel.jsx';
+import { buildSummary, getMealLabel } from '../lib/summary.js';
+import {
+  getHouseholds,
+  householdMatchesSearch,
+  memberMatchesSearch,
+  getMatchingAlias
+} from '../lib/members.js';
+import { buildShareParams, parseShareParams, hasPeople } from '../lib/share-url.js';
+import { downloadFile, printHtml } from '../lib/download.js';
+import { EXPORT_FORMATS, getExportFormat } from '../lib/export-formats.js';
+import { formatKitchenPoster, formatPlaceCards } from '../lib/print-layouts.js';
+import { buildCalendar, hasCalendarDate } from '../lib/calendar.js';
+import { recordMealHistory } from '../lib/saved-meals.js';
+import { withDataset } from './UnlockGate.jsx';
 
 // Hash name to a deterministic cool color (blues, greens, purples, cyans)
 function nameToColor(name) {
@@ -29,122 +52,87 @@ function getContrastColor(hslColor) {
   return lightness > 55 ? '#1a1a1a' : '#ffffff';
 }
 
-// ========================================
-// DIETARY RESTRICTIONS SORTING CONFIGURATION
-// ========================================
-// This controls the order that restrictions appear in the summary.
-// Edit this configuration to change sorting behavior.
-const RESTRICTION_SORT_CONFIG = {
-  // Items in this list appear first, in the order specified
-  priorityItems: [
-    'Vegetarian',
-    'Vegan',
-    'gluten' // Special: matches any item containing "gluten" (case-insensitive)
-  ],
-
-  // After priority items, remaining items are sorted by:
-  // - Number of people affected (most to least)
-
-  // Items in this list appear last, in the order specified
-  bottomItems: [
-    'None'
-  ]
-};
-
-// Helper function to sort dietary restrictions based on config
-function sortDietaryRestrictions(restrictionsArray) {
-  const config = RESTRICTION_SORT_CONFIG;
-
-  return restrictionsArray.sort((a, b) => {
-    const [itemA, peopleA] = a;
-    const [itemB, peopleB] = b;
-    const itemALower = itemA.toLowerCase();
-    const itemBLower = itemB.toLowerCase();
-
-    // Check if items are in priority list
-    let priorityA = -1;
-    let priorityB = -1;
-
-    config.priorityItems.forEach((priority, index) => {
-      const priorityLower = priority.toLowerCase();
-      // Check for exact match or partial match (for "gluten")
-      if (itemALower === priorityLower || itemALower.includes(priorityLower)) {
-        priorityA = index;
-      }
-      if (itemBLower === priorityLower || itemBLower.includes(priorityLower)) {
-        priorityB = index;
-      }
-    });
-
-    // Check if items are in bottom list
-    const bottomA = config.bottomItems.findIndex(item =>
-      itemALower === item.toLowerCase()
-    );
-    const bottomB = config.bottomItems.findIndex(item =>
-      itemBLower === item.toLowerCase()
-    );
-
-    // Priority items come first
-    if (priorityA !== -1 && priorityB === -1) return -1;
-    if (priorityA === -1 && priorityB !== -1) return 1;
-    if (priorityA !== -1 && priorityB !== -1) return priorityA - priorityB;
-
-    // Bottom items come last
-    if (bottomA !== -1 && bottomB === -1) return 1;
-    if (bottomA === -1 && bottomB !== -1) return -1;
-    if (bottomA !== -1 && bottomB !== -1) return bottomA - bottomB;
-
-    // For everything else, sort by number of people (descending)
-    return peopleB.length - peopleA.length;
-  });
+// A meal being planned. `attendees` are lowercase member names; `guests` are
+// one-off guests who aren't in the sheet: { name, guest: true, restrictions }.
+// `dishes` are for the menu planner; `date` ("2026-10-19"), `time` ("18:30")
+// and `location` for the calendar export.
+function createMeal(fields = {}) {
+  return { name: "", attendees: [], guests: [], dishes: [], date: "", time: "", location: "", ...fields };
 }
-// ========================================
 
-export default function DietaryRestrictionsTool({ data }) {
-  const [selectedAttendees, setSelectedAttendees] = useState([]);
-  const [mealName, setMealName] = useState("");
-  const [summary, setSummary] = useState(null);
+function DietaryRestrictionsTool({ data, sessionOnly = false }) {
+  // More than one meal makes this a multi-meal event
+  const [meals, setMeals] = useState([createMeal()]);
+  const [activeMealIndex, setActiveMealIndex] = useState(0);
+  // One per meal (null if nobody at the meal is in the data), and for events
+  // one covering everyone at any meal
+  const [summaries, setSummaries] = useState(null);
+  const [eventSummary, setEventSummary] = useState(null);
+  const [summaryView, setSummaryView] = useState('combined'); // 'combined' or a meal index
   const [copied, setCopied] = useState(false);
   const [downloaded, setDownloaded] = useState(false);
+  const [calendarDownloaded, setCalendarDownloaded] = useState(false);
+  const [exportFormatId, setExportFormatId] = useState('text');
   const [urlCopied, setUrlCopied] = useState(false);
   const [shared, setShared] = useState(false);
+  const [shareGuestNames, setShareGuestNames] = useState(false);
   const [searchInput, setSearchInput] = useState("");
   const [showDropdown, setShowDropdown] = useState(false);
-  const [currentStep, setCurrentStep] = useState(1); // 1 = selection, 2 = summary
+  const [currentStep, setCurrentStep] = useState(1); // 1 = selection, 2 = summary, 3 = menu
+  const [otherGrouping, setOtherGrouping] = useState('item'); // 'item', 'severity' or 'matrix'
   const [highlightedIndex, setHighlightedIndex] = useState(-1);
+  const [showGuestListImport, setShowGuestListImport] = useState(false);
+  const [showGuestForm, setShowGuestForm] = useState(false);
   const inputRef = useRef(null);
   const blurTimeoutRef = useRef(null);
 
-  // URL Parameter Sync - Load from URL on mount
-  useEffect(() => {
-    const params = new URLSearchParams(window.location.search);
-    const attendeesParam = params.get('attendees');
-    const mealParam = params.get('meal');
+  const isEvent = meals.length > 1;
+  const emptyMealLabels = meals
+    .map((meal, index) => (hasPeople(meal) ? null : getMealLabel(meal, index)))
+    .filter(Boolean);
+
+  // Step 1 edits the active meal
+  const activeMeal = meals[activeMealIndex];
+  const selectedAttendees = activeMeal.attendees;
+  const guests = activeMeal.guests;
+  const mealName = activeMeal.name;
+
+  function updateActiveMeal(field, value) {
+    setMeals(prev => prev.map((meal, index) => (
+      index === activeMealIndex
+        ? { ...meal, [field]: typeof value === 'function' ? value(meal[field]) : value }
+        : meal
+    )));
+  }
 
-    if (attendeesParam) {
-      const attendees = attendeesParam.split(',').filter(Boolean);
-      setSelectedAttendees(attendees);
+  const setSelectedAttendees = (value) => updateActiveMeal('attendees', value);
+  const setGuests = (value) => updateActiveMeal('guests', value);
+  const setMealName = (value) => updateActiveMeal('name', value);
+  const setMealDate = (value) => updateActiveMeal('date', value);
+  const setMealTime = (value) => updateActiveMeal('time', value);
+  const setMealLocation = (value) => updateActiveMeal('location', value);
 
-      if (mealParam) {
-        setMealName(decodeURIComponent(mealParam));
-      }
+  // Steps 2 and 3 show one meal, or the whole event on the "combined" view
+  const viewedMealIndex = summaryView === 'combined' ? null : summaryView;
+  const summary = summaries && viewedMealIndex !== null ? summaries[viewedMealIndex] : null;
 
-      // Auto-generate summary if attendees were loaded from URL
-      if (attendees.length > 0) {
-        generateSummary(attendees, mealParam ? decodeURIComponent(mealParam) : '');
-        setCurrentStep(2);
-      }
+  // URL Parameter Sync - Load from URL on mount
+  useEffect(() => {
+    const sharedMeals = parseShareParams(window.location.search, data.members);
+
+    // Auto-generate summary if attendees were loaded from URL
+    if (sharedMeals.length > 0) {
+      setMeals(sharedMeals.map(createMeal));
+      generateSummaries(sharedMeals);
+      setCurrentStep(2);
     }
 
     // Handle browser back/forward buttons
     const handlePopState = () => {
-      const params = new URLSearchParams(window.location.search);
-      const attendeesParam = params.get('attendees');
-
-      if (!attendeesParam) {
+      if (parseShareParams(window.location.search, data.members).length === 0) {
         // No params in URL, go back to step 1
         setCurrentStep(1);
-        setSummary(null);
+        setSummaries(null);
       }
     };
 
@@ -158,177 +146,166 @@ export default function DietaryRestrictionsTool({ data }) {
     };
   }, []);
 
-  function generateSummary(attendees, meal) {
-    const attendeeData = data.members.filter(m =>
-      attendees.includes(m.name.toLowerCase())
-    ).map(person => ({
-      ...person,
-      // Filter out "Attending?" restriction entries
-      restrictions: person.restrictions.filter(r =>
-        !r.item.toLowerCase().includes('attending')
-      )
-    }));
-
-    if (attendeeData.length === 0) {
-      setSummary(null);
-      return;
+  function generateSummaries(plannedMeals) {
+    const event = plannedMeals.length > 1;
+    setSummaries(plannedMeals.map((meal, index) =>
+      buildSummary(data.members, meal.attendees, event ? getMealLabel(meal, index) : meal.name, meal.guests)
+    ));
+
+    // Everyone at any meal, for checking ingredients across the event
+    if (event) {
+      const attendees = [...new Set(plannedMeals.flatMap(meal => meal.attendees))];
+      const eventGuests = plannedMeals
+        .flatMap(meal => meal.guests)
+        .filter((guest, index, all) => all.findIndex(g => g.name === guest.name) === index);
+      setEventSummary(buildSummary(data.members, attendees, 'All meals', eventGuests));
+    } else {
+      setEventSummary(null);
     }
+    setSummaryView(event ? 'combined' : 0);
+  }
 
-    // Group airborne allergies
-    const airborneMap = new Map();
-    attendeeData.forEach(person => {
-      person.restrictions
-        .filter(r => r.severity === "airborne")
-        .forEach(r => {
-          if (!airborneMap.has(r.item)) {
-            airborneMap.set(r.item, []);
-          }
-          airborneMap.get(r.item).push({
-            name: person.name,
-            notes: r.notes
-          });
-        });
-    });
-
-    // Group other restrictions
-    const otherMap = new Map();
-    attendeeData.forEach(person => {
-      person.restrictions
-        .filter(r => r.severity !== "airborne")
-        .forEach(r => {
-          if (!otherMap.has(r.item)) {
-            otherMap.set(r.item, []);
-          }
-          otherMap.get(r.item).push({
-            name: person.name,
-            severity: r.severity,
-            notes: r.notes
-          });
-        });
-    });
+  function handleSelectMeal(index) {
+    setActiveMealIndex(index);
+    setSearchInput("");
+    setShowGuestForm(false);
+    setShowGuestListImport(false);
+  }
 
-    // Add people with no restrictions to "None" category
-    attendeeData.forEach(person => {
-      if (person.restrictions.length === 0) {
-        if (!otherMap.has('None')) {
-          otherMap.set('None', []);
-        }
-        otherMap.get('None').push({
-          name: person.name,
-          severity: 'yes',
-          notes: 'None'
-        });
-      }
-    });
+  function handleAddMeal() {
+    setMeals(prev => [...prev, createMeal()]);
+    handleSelectMeal(meals.length);
+  }
 
-    // Sort other restrictions using the configuration
-    const sortedOther = sortDietaryRestrictions(Array.from(otherMap.entries()));
+  // "Same as previous meal" - the usual case for a weekend of meals
+  function handleCopyPreviousMeal() {
+    const previous = meals[activeMealIndex - 1];
+    setSelectedAttendees([...previous.attendees]);
+    setGuests([...previous.guests]);
+  }
 
-    setSummary({
-      mealName: meal,
-      attendees: attendeeData.map(a => a.name),
-      airborne: Array.from(airborneMap.entries()),
-      other: sortedOther,
-      byPerson: attendeeData
-    });
+  function handleRemoveMeal(index) {
+    setMeals(prev => prev.filter((_, i) => i !== index));
+    setActiveMealIndex(prev => (prev > index || prev === meals.length - 1 ? prev - 1 : prev));
   }
 
-  function handleGenerate() {
-    generateSummary(selectedAttendees, mealName);
+  function handleViewedMealDishesChange(dishes) {
+    setMeals(prev => prev.map((meal, index) => (index === viewedMealIndex ? { ...meal, dishes } : meal)));
+  }
+
+  function showSummaries(plannedMeals) {
+    generateSummaries(plannedMeals);
     setCurrentStep(2);
+    recordMealHistory({ scope: data.group?.slug, sessionOnly }, plannedMeals);
 
     // Update URL to reflect current selection
-    const params = new URLSearchParams();
-    params.set('attendees', selectedAttendees.join(','));
-    if (mealName) {
-      params.set('meal', encodeURIComponent(mealName));
-    }
-    const newUrl = `${window.location.pathname}?${params.toString()}`;
-    window.history.pushState({}, '', newUrl);
+    window.history.pushState({}, '', getShareUrl(plannedMeals, shareGuestNames));
   }
 
-  function handleGenerateNew() {
-    setCurrentStep(1);
-    setSummary(null);
-    // Clear URL when going back to selection
-    window.history.pushState({}, '', window.location.pathname);
+  function getShareUrl(plannedMeals, guestNames) {
+    const params = buildShareParams(plannedMeals, data.members, { guestNames });
+    return `${window.location.pathname}?${params.toString()}`;
   }
 
-  function formatSummaryAsText(summary) {
-    let text = summary.mealName
-      ? `Dietary Summary - ${summary.mealName}\n\n`
-      : "Dietary Summary\n\n";
+  // Guests are "Guest 1", "Guest 2" in the link unless the host opts in
+  function handleShareGuestNamesChange(guestNames) {
+    setShareGuestNames(guestNames);
+    window.history.replaceState({}, '', getShareUrl(meals, guestNames));
+  }
 
-    text += `Attendees: ${summary.attendees.length} (${summary.attendees.join(', ')})\n\n`;
+  function handleGenerate() {
+    showSummaries(meals);
+  }
 
-    if (summary.airborne.length > 0) {
-      text += "⚠️  AIRBORNE ALLERGIES ⚠️\n";
-      text += "==========================================\n";
-      summary.airborne.forEach(([item, people]) => {
-        text += `${item}\n`;
-        people.forEach(p => {
-          text += `  - ${p.name}\n`;
-        });
-      });
-      text += "\n";
-    }
+  // Saved groups and meals can name people who have since left the sheet
+  function withoutUnknownMembers(meal) {
+    return {
+      ...meal,
+      attendees: meal.attendees.filter(name => data.members.some(m => m.name.toLowerCase() === name))
+    };
+  }
 
-    if (summary.other.length > 0) {
-      text += "Dietary Restrictions:\n";
-      summary.other.forEach(([item, people]) => {
-        text += `${item}\n`;
-        people.forEach(p => {
-          const detail = p.severity !== "yes" ? ` (${p.severity})` : '';
-          text += `  - ${p.name}${detail}\n`;
-        });
-      });
-      text += "\n";
-    }
+  function handleLoadGroup(group) {
+    const { attendees } = withoutUnknownMembers(group);
+    setSelectedAttendees(prev => [...prev, ...attendees.filter(name => !prev.includes(name))]);
+    setGuests(prev => [...prev, ...group.guests.filter(guest => !prev.some(g => g.name === guest.name))]);
+  }
+
+  function handleReopenMeals(savedMeals) {
+    const reopened = savedMeals.map(meal => createMeal(withoutUnknownMembers(meal))).filter(hasPeople);
+    if (reopened.length === 0) return;
+
+    setMeals(reopened);
+    handleSelectMeal(0);
+    showSummaries(reopened);
+  }
+
+  function handleGenerateNew() {
+    setCurrentStep(1);
+    setSummaries(null);
+    // Clear URL when going back to selection
+    window.history.pushState({}, '', window.location.pathname);
+  }
 
-    text += "Restrictions by Person:\n";
-    summary.byPerson.forEach(person => {
-      const restrictions = person.restrictions.map(r => {
-        const severity = r.severity === "airborne" ? " (AIRBORNE)" :
-                        r.severity !== "yes" ? ` (${r.severity})` : '';
-        return `${r.item}${severity}`;
-      });
-      text += `- ${person.name}: ${restrictions.join(', ') || 'None'}\n`;
-    });
+  const exportFormat = getExportFormat(exportFormatId);
 
-    return text;
+  // The current view in an export format: one meal, or the whole event
+  function getExportText(format) {
+    return format.format(summary ? [summary] : summaries.filter(Boolean));
   }
 
   async function copyToClipboard() {
-    if (!summary) return;
+    if (!summary && !isEvent) return;
 
-    const text = formatSummaryAsText(summary);
+    // Print-only formats are copied as plain text
+    const text = getExportText(exportFormat.print ? getExportFormat('text') : exportFormat);
     await navigator.clipboard.writeText(text);
     setCopied(true);
     setTimeout(() => setCopied(false), 2000);
   }
 
-  function downloadAsTextFile() {
-    if (!summary) return;
+  function downloadSummary() {
+    if (!summary && !isEvent) return;
 
-    const text = formatSummaryAsText(summary);
-    const filename = summary.mealName
-      ? `${summary.mealName.replace(/\s+/g, '-')}-dietary-dashboard.txt`
-      : 'dietary-dashboard.txt';
-
-    const blob = new Blob([text], { type: 'text/plain' });
-    const url = URL.createObjectURL(blob);
-    const link = document.createElement('a');
-    link.href = url;
-    link.download = filename;
-    link.click();
-    URL.revokeObjectURL(url);
+    const text = getExportText(exportFormat);
+    if (exportFormat.print) {
+      printHtml(text);
+    } else {
+      const title = summary ? summary.mealName : 'event';
+      const filename = title
+        ? `${title.replace(/\s+/g, '-')}-dietary-dashboard.${exportFormat.extension}`
+        : `dietary-dashboard.${exportFormat.extension}`;
+      downloadFile(filename, text, exportFormat.mimeType);
+    }
     setDownloaded(true);
     setTimeout(() => setDownloaded(false), 2000);
   }
 
+  // The meals in the current view that have a date, with their summaries
+  function getCalendarEntries() {
+    return meals
+      .map((meal, index) => ({ meal, summary: summaries[index] }))
+      .filter((entry, index) => entry.summary && hasCalendarDate(entry.meal) &&
+        (viewedMealIndex === null || index === viewedMealIndex));
+  }
+
+  function downloadCalendar() {
+    const entries = getCalendarEntries();
+    if (entries.length === 0) return;
+
+    const title = summary ? summary.mealName : 'event';
+    const filename = title
+      ? `${title.replace(/\s+/g, '-')}-dietary-dashboard.ics`
+      : 'dietary-dashboard.ics';
+
+    downloadFile(filename, buildCalendar(entries, window.location.href), 'text/calendar');
+    setCalendarDownloaded(true);
+    setTimeout(() => setCalendarDownloaded(false), 2000);
+  }
+
   async function shareUrl() {
     const url = window.location.href;
-    const title = summary?.mealName || 'Dietary Dashboard';
+    const title = summary?.mealName || (isEvent ? 'Event Dietary Summary' : 'Dietary Dashboard');
 
     // Check if Web Share API is supported
     if (navigator.share) {
@@ -375,29 +352,44 @@ export default function DietaryRestrictionsTool({ data }) {
 
   // Autocomplete functions
   function getFilteredMembers() {
-    const search = searchInput.toLowerCase().trim();
-
     return data.members
       .filter(member => {
-        const memberNameLower = member.name.toLowerCase();
         // Only show approved members
         if (!member.approved) {
           return false;
         }
         // Always exclude already selected attendees
-        if (selectedAttendees.includes(memberNameLower)) {
+        if (selectedAttendees.includes(member.name.toLowerCase())) {
           return false;
         }
-        // If there's a search term, filter by it
-        if (search) {
-          return memberNameLower.includes(search);
-        }
-        // If no search term, show all unselected members
-        return true;
+        // Match the name or a nickname (no search term shows everyone)
+        return memberMatchesSearch(member, searchInput);
       })
       .sort((a, b) => a.name.localeCompare(b.name));
   }
 
+  // Households matching the search that still have someone to add.
+  // `members` is just the approved, unselected ones.
+  function getFilteredHouseholds() {
+    if (!searchInput.trim()) return [];
+
+    return getHouseholds(data.members.filter(m => m.approved))
+      .filter(household => householdMatchesSearch(household, searchInput))
+      .map(household => ({
+        ...household,
+        members: household.members.filter(m => !selectedAttendees.includes(m.name.toLowerCase()))
+      }))
+      .filter(household => household.members.length > 0);
+  }
+
+  // Households first, then people - the order the dropdown shows them in
+  function getDropdownOptions() {
+    return [
+      ...getFilteredHouseholds().map(household => ({ type: 'household', household })),
+      ...getFilteredMembers().map(member => ({ type: 'member', member }))
+    ];
+  }
+
   function handleSelectMember(memberName) {
     const lowerName = memberName.toLowerCase();
     if (!selectedAttendees.includes(lowerName)) {
@@ -412,6 +404,39 @@ export default function DietaryRestrictionsTool({ data }) {
     }
   }
 
+  function handleSelectHousehold(household) {
+    const names = household.members.map(m => m.name.toLowerCase());
+    setSelectedAttendees(prev => [...prev, ...names.filter(name => !prev.includes(name))]);
+    setSearchInput("");
+    setHighlightedIndex(-1);
+    setShowDropdown(true);
+    if (inputRef.current) {
+      inputRef.current.focus();
+    }
+  }
+
+  function handleSelectOption(option) {
+    if (option.type === 'household') {
+      handleSelectHousehold(option.household);
+    } else {
+      handleSelectMember(option.member.name);
+    }
+  }
+
+  function handleAddGuestList(names) {
+    setSelectedAttendees(prev => [...prev, ...names.filter(name => !prev.includes(name))]);
+    setShowGuestListImport(false);
+  }
+
+  function handleAddGuest(guest) {
+    setGuests(prev => [...prev, guest]);
+    setShowGuestForm(false);
+  }
+
+  function handleRemoveGuest(guestName) {
+    setGuests(prev => prev.filter(guest => guest.name !== guestName));
+  }
+
   function handleRemoveMember(memberName) {
     setSelectedAttendees(prev => prev.filter(n => n !== memberName));
   }
@@ -439,21 +464,21 @@ export default function DietaryRestrictionsTool({ data }) {
   }
 
   function handleKeyDown(e) {
-    const filteredMembers = getFilteredMembers();
+    const options = getDropdownOptions();
 
     if (e.key === 'ArrowDown') {
       e.preventDefault();
       setShowDropdown(true);
       setHighlightedIndex(prev =>
-        prev < filteredMembers.length - 1 ? prev + 1 : prev
+        prev < options.length - 1 ? prev + 1 : prev
       );
     } else if (e.key === 'ArrowUp') {
       e.preventDefault();
       setHighlightedIndex(prev => prev > 0 ? prev - 1 : -1);
     } else if (e.key === 'Enter' && highlightedIndex >= 0) {
       e.preventDefault();
-      if (filteredMembers[highlightedIndex]) {
-        handleSelectMember(filteredMembers[highlightedIndex].name);
+      if (options[highlightedIndex]) {
+        handleSelectOption(options[highlightedIndex]);
       }
     } else if (e.key === 'Escape') {
       setShowDropdown(false);
@@ -481,9 +506,81 @@ export default function DietaryRestrictionsTool({ data }) {
   if (currentStep === 1) {
     return (
       <div class="space-y-6 animate-fade-in">
+        {/* Saved Attendee Groups and Recent Meals */}
+        <SavedMealsPanel
+          scope={data.group?.slug}
+          sessionOnly={sessionOnly}
+          activeMeal={activeMeal}
+          onLoadGroup={handleLoadGroup}
+          onReopenMeals={handleReopenMeals}
+        />
+
+        {/* Meal Tabs (multi-meal events) */}
+        {isEvent && (
+          <div class="bg-white dark:bg-gray-800 rounded-lg p-4 shadow-sm border-l-4 border-blue-500">
+            <div class="flex flex-wrap items-center gap-2" role="tablist" aria-label="Meals">
+              {meals.map((meal, index) => (
+                <button
+                  key={index}
+                  role="tab"
+                  aria-selected={index === activeMealIndex}
+                  onClick={() => handleSelectMeal(index)}
+                  class={`px-3 py-1.5 text-sm font-semibold rounded-lg transition-colors ${
+                    index === activeMealIndex
+                      ? 'bg-blue-600 text-white'
+                      : 'bg-gray-100 dark:bg-gray-700 text-gray-800 dark:text-gray-200 hover:bg-gray-200 dark:hover:bg-gray-600'
+                  }`}
+                >
+                  {getMealLabel(meal, index)} ({meal.attendees.length + meal.guests.length})
+                </button>
+              ))}
+              <button
+                onClick={handleAddMeal}
+                class="px-3 py-1.5 text-sm font-semibold text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                <i class="fa-solid fa-plus mr-1"></i>
+                Add Meal
+              </button>
+            </div>
+          </div>
+        )}
+
         {/* Attendee Selection */}
         <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500">
-          <h2 class="text-2xl font-bold mb-4 text-gray-900 dark:text-gray-100">Select Attendees</h2>
+          <div class="flex flex-wrap items-center justify-between gap-2 mb-4">
+            <h2 class="text-2xl font-bold text-gray-900 dark:text-gray-100">
+              {isEvent ? `Attendees: ${getMealLabel(activeMeal, activeMealIndex)}` : 'Select Attendees'}
+            </h2>
+            <div class="flex flex-wrap gap-2">
+              {activeMealIndex > 0 && (
+                <button
+                  onClick={handleCopyPreviousMeal}
+                  class="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+                >
+                  <i class="fa-solid fa-clone mr-1"></i>
+                  Same as Previous Meal
+                </button>
+              )}
+              {!showGuestForm && (
+                <button
+                  onClick={() => setShowGuestForm(true)}
+                  class="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+                >
+                  <i class="fa-solid fa-user-plus mr-1"></i>
+                  Add Guest
+                </button>
+              )}
+              {!showGuestListImport && (
+                <button
+                  onClick={() => setShowGuestListImport(true)}
+                  class="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+                >
+                  <i class="fa-solid fa-paste mr-1"></i>
+                  Paste Guest List
+                </button>
+              )}
+            </div>
+          </div>
 
           {/* Autocomplete Input with Chips */}
           <div class="relative">
@@ -512,6 +609,27 @@ export default function DietaryRestrictionsTool({ data }) {
                 );
               })}
 
+              {/* Guest Chips */}
+              {guests.map(guest => (
+                <span
+                  key={`guest:${guest.name}`}
+                  class="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium border border-dashed border-gray-400 dark:border-gray-500 text-gray-800 dark:text-gray-200"
+                  title={`Guest: ${guest.restrictions.map(r => r.item).join(', ') || 'no restrictions'}`}
+                >
+                  <i class="fa-solid fa-user-plus text-xs"></i>
+                  {guest.name}
+                  <button
+                    onClick={() => handleRemoveGuest(guest.name)}
+                    class="hover:opacity-80 rounded-full p-0.5 transition-opacity"
+                    aria-label={`Remove ${guest.name}`}
+                  >
+                    <svg class="w-3.5 h-3.5" fill="currentColor" viewBox="0 0 20 20">
+                      <path fillRule="evenodd" d="M4.293 4.293a1 1 0 011.414 0L10 8.586l4.293-4.293a1 1 0 111.414 1.414L11.414 10l4.293 4.293a1 1 0 01-1.414 1.414L10 11.414l-4.293 4.293a1 1 0 01-1.414-1.414L8.586 10 4.293 5.707a1 1 0 010-1.414z" clipRule="evenodd" />
+                    </svg>
+                  </button>
+                </span>
+              ))}
+
               {/* Search Input */}
               <input
                 ref={inputRef}
@@ -521,42 +639,80 @@ export default function DietaryRestrictionsTool({ data }) {
                 onFocus={handleSearchFocus}
                 onBlur={handleSearchBlur}
                 onKeyDown={handleKeyDown}
-                placeholder={selectedAttendees.length === 0 ? "Type to search attendees..." : "Add more..."}
+                placeholder={selectedAttendees.length + guests.length === 0 ? "Type to search attendees..." : "Add more..."}
                 class="flex-1 min-w-[150px] outline-none bg-transparent text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500"
               />
             </div>
 
             {/* Dropdown */}
-            {showDropdown && getFilteredMembers().length > 0 && (
+            {showDropdown && getDropdownOptions().length > 0 && (
               <div class="absolute z-10 w-full mt-1 bg-white dark:bg-gray-700 border border-gray-300 dark:border-gray-600 rounded-lg shadow-lg max-h-60 overflow-y-auto">
-                {getFilteredMembers().map((member, index) => (
+                {getDropdownOptions().map((option, index) => (
                   <button
-                    key={member.name}
+                    key={option.type === 'household' ? `household:${option.household.name}` : option.member.name}
                     onMouseDown={() => {
                       // Cancel blur timeout when clicking dropdown
                       if (blurTimeoutRef.current) {
                         clearTimeout(blurTimeoutRef.current);
                       }
                     }}
-                    onClick={() => handleSelectMember(member.name)}
+                    onClick={() => handleSelectOption(option)}
                     class={`w-full text-left px-4 py-2 text-gray-900 dark:text-gray-100 transition-colors first:rounded-t-lg last:rounded-b-lg ${
                       index === highlightedIndex
                         ? 'bg-blue-100 dark:bg-blue-900'
                         : 'hover:bg-gray-100 dark:hover:bg-gray-600'
                     }`}
                   >
-                    {member.name}
+                    {option.type === 'household' ? (
+                      <span class="flex items-center gap-2">
+                        <i class="fa-solid fa-house text-gray-500 dark:text-gray-400"></i>
+                        <span class="font-medium">{option.household.name} household</span>
+                        <span class="text-sm text-gray-500 dark:text-gray-400">
+                          Add {option.household.members.map(m => m.name).join(', ')}
+                        </span>
+                      </span>
+                    ) : (
+                      <span>
+                        {option.member.name}
+                        {getMatchingAlias(option.member, searchInput) && (
+                          <span class="text-sm text-gray-500 dark:text-gray-400"> aka {getMatchingAlias(option.member, searchInput)}</span>
+                        )}
+                        {option.member.household && (
+                          <span class="text-sm text-gray-400 dark:text-gray-500"> · {option.member.household}</span>
+                        )}
+                      </span>
+                    )}
                   </button>
                 ))}
               </div>
             )}
           </div>
+
+          {showGuestForm && (
+            <GuestForm
+              restrictionsList={data.restrictionsList}
+              takenNames={[...selectedAttendees, ...guests.map(guest => guest.name.toLowerCase())]}
+              onAdd={handleAddGuest}
+              onCancel={() => setShowGuestForm(false)}
+            />
+          )}
+
+          {showGuestListImport && (
+            <GuestListImport
+              members={data.members
+                .filter(member => member.approved)
+                .sort((a, b) => a.name.localeCompare(b.name))}
+              selectedAttendees={selectedAttendees}
+              onAdd={handleAddGuestList}
+              onClose={() => setShowGuestListImport(false)}
+            />
+          )}
         </div>
 
         {/* Meal Name Input */}
         <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500">
           <label htmlFor="meal-name" class="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
-            Meal Name (Optional)
+            {isEvent ? `Name for ${getMealLabel(activeMeal, activeMealIndex)}` : 'Meal Name'} (Optional)
           </label>
           <input
             type="text"
@@ -566,65 +722,210 @@ export default function DietaryRestrictionsTool({ data }) {
             placeholder="e.g., Shabbos Dinner, Rosh Hashana Day 1 Lunch"
             class="block w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
           />
+          {/* When and where - for the calendar export */}
+          <div class="mt-3 grid grid-cols-1 sm:grid-cols-3 gap-3">
+            <div>
+              <label htmlFor="meal-date" class="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">Date</label>
+              <input
+                type="date"
+                id="meal-date"
+                value={activeMeal.date}
+                onInput={(e) => setMealDate(e.target.value)}
+                class="block w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label htmlFor="meal-time" class="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">Time</label>
+              <input
+                type="time"
+                id="meal-time"
+                value={activeMeal.time}
+                onInput={(e) => setMealTime(e.target.value)}
+                class="block w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+            <div>
+              <label htmlFor="meal-location" class="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-1">Location</label>
+              <input
+                type="text"
+                id="meal-location"
+                value={activeMeal.location}
+                onInput={(e) => setMealLocation(e.target.value)}
+                placeholder="e.g., The Cohens' house"
+                class="block w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              />
+            </div>
+          </div>
+          <p class="mt-1 text-xs text-gray-500 dark:text-gray-400">
+            Add a date to download the meal as a calendar event with the summary attached.
+          </p>
+          <div class="mt-3">
+            {isEvent ? (
+              <button
+                onClick={() => handleRemoveMeal(activeMealIndex)}
+                class="text-sm font-semibold text-red-600 dark:text-red-400 hover:underline"
+              >
+                <i class="fa-solid fa-trash mr-1"></i>
+                Remove This Meal
+              </button>
+            ) : (
+              <button
+                onClick={handleAddMeal}
+                class="text-sm font-semibold text-blue-600 dark:text-blue-400 hover:underline"
+              >
+                <i class="fa-solid fa-plus mr-1"></i>
+                Planning several meals? Add another meal
+              </button>
+            )}
+          </div>
         </div>
 
         {/* Generate Button */}
-        <div class="flex justify-center">
+        <div class="flex flex-col items-center gap-2">
           <button
             onClick={handleGenerate}
-            disabled={selectedAttendees.length === 0}
+            disabled={emptyMealLabels.length > 0}
             class="px-8 py-3 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
           >
-            Generate Summary
+            {isEvent ? 'Generate Event Summary' : 'Generate Summary'}
           </button>
+          {isEvent && emptyMealLabels.length > 0 && (
+            <p class="text-sm text-gray-600 dark:text-gray-400">
+              Every meal needs at least one attendee. Still empty: {emptyMealLabels.join(', ')}
+            </p>
+          )}
         </div>
       </div>
     );
   }
 
-  // Step 2: Summary View
+  // Step 2: Summary View (and Step 3: Menu Planner)
+  const viewedMeal = viewedMealIndex === null ? null : meals[viewedMealIndex];
+  // The combined view checks ingredients against everyone at the event
+  const checkerSummary = summary || eventSummary;
+
   return (
     <div class="space-y-6 animate-fade-in">
       {/* Compact Attendee Pills Header */}
       <div class="bg-white dark:bg-gray-800 rounded-lg p-4 shadow-sm border-l-4 border-blue-500">
         <div class="flex flex-wrap items-center gap-3">
-          <span class="text-sm font-semibold text-gray-700 dark:text-gray-300">
-            Attendees ({selectedAttendees.length}):
-          </span>
-          <div class="flex flex-wrap gap-2">
-            {selectedAttendees.map(attendee => {
-              const bgColor = nameToColor(attendee);
-              const textColor = getContrastColor(bgColor);
-              return (
+          {viewedMeal ? (
+            <div class="flex flex-wrap items-center gap-3">
+              <span class="text-sm font-semibold text-gray-700 dark:text-gray-300">
+                Attendees ({viewedMeal.attendees.length + viewedMeal.guests.length}):
+              </span>
+              <div class="flex flex-wrap gap-2">
+              {viewedMeal.attendees.map(attendee => {
+                const bgColor = nameToColor(attendee);
+                const textColor = getContrastColor(bgColor);
+                return (
+                  <button
+                    key={attendee}
+                    onClick={handleGenerateNew}
+                    style={{ backgroundColor: bgColor, color: textColor }}
+                    class="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium hover:opacity-90 transition-opacity cursor-pointer"
+                    title="Click to modify selection"
+                  >
+                    {getMemberDisplayName(attendee)}
+                  </button>
+                );
+              })}
+              {viewedMeal.guests.map(guest => (
                 <button
-                  key={attendee}
+                  key={`guest:${guest.name}`}
                   onClick={handleGenerateNew}
-                  style={{ backgroundColor: bgColor, color: textColor }}
-                  class="inline-flex items-center px-3 py-1 rounded-full text-sm font-medium hover:opacity-90 transition-opacity cursor-pointer"
+                  class="inline-flex items-center gap-1 px-3 py-1 rounded-full text-sm font-medium border border-dashed border-gray-400 dark:border-gray-500 text-gray-800 dark:text-gray-200 hover:opacity-90 transition-opacity cursor-pointer"
                   title="Click to modify selection"
                 >
-                  {getMemberDisplayName(attendee)}
+                  <i class="fa-solid fa-user-plus text-xs"></i>
+                  {guest.name}
                 </button>
-              );
-            })}
+              ))}
+              </div>
+            </div>
+          ) : (
+            <span class="text-sm font-semibold text-gray-700 dark:text-gray-300">
+              Meals ({meals.length}): {meals.map(getMealLabel).join(', ')}
+            </span>
+          )}
+          <div class="ml-auto flex gap-2">
+            <button
+              onClick={handleGenerateNew}
+              class="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
+            >
+              ← Modify Selection
+            </button>
+            {summary && (currentStep === 2 ? (
+              <button
+                onClick={() => setCurrentStep(3)}
+                class="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
+              >
+                Plan Menu →
+              </button>
+            ) : (
+              <button
+                onClick={() => setCurrentStep(2)}
+                class="px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
+              >
+                ← Back to Summary
+              </button>
+            ))}
           </div>
-          <button
-            onClick={handleGenerateNew}
-            class="ml-auto px-4 py-2 bg-blue-600 text-white text-sm font-medium rounded-lg hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 transition-colors"
-          >
-            ← Modify Selection
-          </button>
         </div>
       </div>
 
+      {/* View Tabs (multi-meal events) - menus are planned one meal at a time */}
+      {isEvent && summaries && (
+        <div class="flex flex-wrap gap-2" role="tablist" aria-label="Event meals">
+          {[
+            ...(currentStep === 2 ? [['combined', 'Combined']] : []),
+            ...meals.map((meal, index) => [index, getMealLabel(meal, index)])
+          ].map(([view, label]) => (
+            <button
+              key={view}
+              role="tab"
+              aria-selected={summaryView === view}
+              onClick={() => setSummaryView(view)}
+              class={`px-4 py-2 text-sm font-semibold rounded-lg transition-colors ${
+                summaryView === view
+                  ? 'bg-blue-600 text-white'
+                  : 'bg-white dark:bg-gray-800 text-gray-800 dark:text-gray-200 hover:bg-gray-100 dark:hover:bg-gray-700'
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      )}
+
+      {/* Menu Planner */}
+      {currentStep === 3 && summary && (
+        <MenuPlanner
+          summary={summary}
+          restrictionsList={data.restrictionsList}
+          dishes={viewedMeal.dishes}
+          onDishesChange={handleViewedMealDishesChange}
+        />
+      )}
+
       {/* Summary Display */}
-      {summary && (
+      {currentStep === 2 && (summary || (isEvent && !viewedMeal && summaries)) && (
         <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500 space-y-6">
           <div class="flex justify-between items-start">
             <h2 class="text-2xl font-bold text-gray-900 dark:text-gray-100">
-              {summary.mealName || 'Dietary Summary'}
+              {summary ? (summary.mealName || 'Dietary Summary') : `Event Summary (${meals.length} meals)`}
             </h2>
             <div class="flex gap-1 items-center">
+              <select
+                value={exportFormatId}
+                onChange={(e) => setExportFormatId(e.target.value)}
+                aria-label="Export format"
+                class="mr-1 px-2 py-1 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+              >
+                {EXPORT_FORMATS.map(format => (
+                  <option key={format.id} value={format.id}>{format.label}</option>
+                ))}
+              </select>
               <button
                 onClick={copyToClipboard}
                 class="w-8 h-8 flex items-center justify-center text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 focus:outline-none transition-colors text-lg"
@@ -634,12 +935,21 @@ export default function DietaryRestrictionsTool({ data }) {
                 <i class={`fa-solid ${copied ? 'fa-check' : 'fa-copy'}`}></i>
               </button>
               <button
-                onClick={downloadAsTextFile}
+                onClick={downloadSummary}
                 class="w-8 h-8 flex items-center justify-center text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 focus:outline-none transition-colors text-lg"
-                title={downloaded ? 'Downloaded!' : 'Download as text file'}
-                aria-label="Download as text file"
+                title={downloaded ? 'Downloaded!' : exportFormat.print ? 'Print or save as PDF' : `Download as ${exportFormat.label}`}
+                aria-label={exportFormat.print ? 'Print or save as PDF' : 'Download'}
               >
-                <i class={`fa-solid ${downloaded ? 'fa-check' : 'fa-download'}`}></i>
+                <i class={`fa-solid ${downloaded ? 'fa-check' : exportFormat.print ? 'fa-print' : 'fa-download'}`}></i>
+              </button>
+              <button
+                onClick={downloadCalendar}
+                disabled={getCalendarEntries().length === 0}
+                class="w-8 h-8 flex items-center justify-center text-gray-700 dark:text-gray-300 hover:text-gray-900 dark:hover:text-gray-100 focus:outline-none disabled:opacity-40 disabled:cursor-not-allowed transition-colors text-lg"
+                title={calendarDownloaded ? 'Downloaded!' : getCalendarEntries().length > 0 ? 'Add to calendar (.ics)' : 'Add a date in step 1 to add this to a calendar'}
+                aria-label="Add to calendar"
+              >
+                <i class={`fa-solid ${calendarDownloaded ? 'fa-check' : 'fa-calendar-plus'}`}></i>
               </button>
               <button
                 onClick={shareUrl}
@@ -660,96 +970,74 @@ export default function DietaryRestrictionsTool({ data }) {
             </div>
           </div>
 
-          {/* Attendees */}
-          <div>
-            <h3 class="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
-              Attendees: {summary.attendees.length}
-            </h3>
-            <p class="text-gray-700 dark:text-gray-300">
-              {summary.attendees.join(', ')}
-            </p>
-          </div>
+          {meals.some(meal => meal.guests.length > 0) && (
+            <label class="inline-flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+              <input
+                type="checkbox"
+                checked={shareGuestNames}
+                onChange={(e) => handleShareGuestNamesChange(e.target.checked)}
+                class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+              />
+              Include guests' names in the link (otherwise they're shared as "Guest 1", "Guest 2", ...)
+            </label>
+          )}
 
-          {/* Airborne Allergies */}
-          {summary.airborne.length > 0 && (
-            <div class="bg-red-50 dark:bg-red-950 border-2 border-red-500 dark:border-red-600 rounded-lg p-6">
-              <h3 class="text-xl font-bold text-red-700 dark:text-red-400 mb-4 flex items-center gap-2">
-                <i class="fa-solid fa-triangle-exclamation"></i>
-                AIRBORNE ALLERGIES
-              </h3>
-              <div class="space-y-4">
-                {summary.airborne.map(([item, people]) => (
-                  <div key={item}>
-                    <h4 class="font-bold text-red-800 dark:text-red-300 mb-2 text-lg">{item}</h4>
-                    <ul class="ml-6 space-y-1 list-disc marker:text-red-600">
-                      {people.map(p => (
-                        <li key={p.name} class="text-red-900 dark:text-red-200">
-                          {p.name}
-                        </li>
-                      ))}
-                    </ul>
-                  </div>
-                ))}
-              </div>
+          {/* Print layouts - one meal at a time */}
+          {summary && (
+            <div class="flex flex-wrap items-center gap-2">
+              <span class="text-sm font-semibold text-gray-700 dark:text-gray-300">Print:</span>
+              <button
+                onClick={() => printHtml(formatKitchenPoster(summary))}
+                class="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+              >
+                <i class="fa-solid fa-kitchen-set mr-1"></i>
+                Kitchen Poster
+              </button>
+              <button
+                onClick={() => printHtml(formatPlaceCards(summary))}
+                class="px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+              >
+                <i class="fa-solid fa-id-card mr-1"></i>
+                Place Cards
+              </button>
             </div>
           )}
 
-          {/* Other Dietary Restrictions */}
-          {summary.other.length > 0 && (
-            <div>
-              <h3 class="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-4 pb-2 border-b-2 border-gray-300 dark:border-gray-600">
-                Dietary Restrictions
-              </h3>
-              <div class="space-y-4">
-                {summary.other.map(([item, people]) => (
-                  <div key={item}>
-                    <h4 class="font-bold text-gray-900 dark:text-gray-100 mb-2">{item}</h4>
-                    <ul class="ml-6 space-y-1 list-disc marker:text-blue-600">
-                      {people.map(p => (
-                        <li key={p.name} class="text-gray-700 dark:text-gray-300">
-                          {p.name}{p.severity !== 'yes' ? ` (${p.severity})` : ''}
-                        </li>
-                      ))}
-                    </ul>
-                  </div>
-                ))}
-              </div>
-            </div>
+          {summary ? (
+            <SummaryDetails
+              summary={summary}
+              otherGrouping={otherGrouping}
+              onOtherGroupingChange={setOtherGrouping}
+            />
+          ) : (
+            <EventSummary
+              summaries={summaries.filter(Boolean)}
+              otherGrouping={otherGrouping}
+              onOtherGroupingChange={setOtherGrouping}
+            />
           )}
+        </div>
+      )}
 
-          {/* Restrictions by Person */}
-          <div>
-            <h3 class="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-4 pb-2 border-b-2 border-gray-300 dark:border-gray-600">
-              Restrictions by Person
-            </h3>
-            <ul class="ml-6 space-y-2 list-disc marker:text-blue-600">
-              {summary.byPerson.map(person => {
-                // Check if person only has "None" or no restrictions
-                const hasOnlyNone = person.restrictions.length === 1 &&
-                                    person.restrictions[0].item.toLowerCase() === 'none';
-                const hasNoRestrictions = person.restrictions.length === 0;
+      {/* Catering Order */}
+      {currentStep === 2 && (summary || (isEvent && !viewedMeal && summaries)) && (
+        <CateringReport summaries={summary ? [summary] : summaries.filter(Boolean)} />
+      )}
 
-                return (
-                  <li key={person.name} class="text-gray-900 dark:text-gray-100">
-                    <span class="font-medium">{person.name}:</span>{' '}
-                    {hasOnlyNone || hasNoRestrictions ? (
-                      <span class="text-gray-700 dark:text-gray-300 italic">None</span>
-                    ) : (
-                      <span class="text-gray-700 dark:text-gray-300">
-                        {person.restrictions.map(r => {
-                          const severity = r.severity === "airborne" ? " (AIRBORNE)" :
-                                          r.severity !== "yes" ? ` (${r.severity})` : '';
-                          return `${r.item}${severity}`;
-                        }).join(', ')}
-                      </span>
-                    )}
-                  </li>
-                );
-              })}
-            </ul>
-          </div>
-        </div>
+      {/* Substitutions that work for everyone at the table */}
+      {currentStep === 2 && checkerSummary && (
+        <SafeForTablePanel summary={checkerSummary} />
+      )}
+
+      {/* Ingredient Checker */}
+      {currentStep === 2 && checkerSummary && (
+        <IngredientChecker
+          summary={checkerSummary}
+          restrictionsList={data.restrictionsList}
+        />
       )}
     </div>
   );
 }
+
+export default withDataset(DietaryRestrictionsTool);
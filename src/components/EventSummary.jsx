@@ -0,0 +1,58 @@
+import { h } from 'preact';
+import SummaryDetails from './SummaryDetails.jsx';
+import RecentChangeBadge from './RecentChangeBadge.jsx';
+import { mergeAirborne } from '../lib/summary.js';
+
+// Combined view of a multi-meal event: every airborne allergy across the
+// event (with the meals each person is at), then each meal's summary.
+// `summaries` has one summary per meal, titled with the meal's label.
+export default function EventSummary({ summaries, otherGrouping, onOtherGroupingChange }) {
+  const airborne = mergeAirborne(summaries);
+
+  return (
+    <div class="space-y-8">
+      {airborne.length > 0 ? (
+        <div class="bg-red-50 dark:bg-red-950 border-2 border-red-500 dark:border-red-600 rounded-lg p-6">
+          <h3 class="text-xl font-bold text-red-700 dark:text-red-400 mb-4 flex items-center gap-2">
+            <i class="fa-solid fa-triangle-exclamation"></i>
+            AIRBORNE ALLERGIES - ALL MEALS
+          </h3>
+          <div class="space-y-4">
+            {airborne.map(([item, people]) => (
+              <div key={item}>
+                <h4 class="font-bold text-red-800 dark:text-red-300 mb-2 text-lg">{item}</h4>
+                <ul class="ml-6 space-y-1 list-disc marker:text-red-600">
+                  {people.map(p => (
+                    <li key={p.name} class="text-red-900 dark:text-red-200">
+                      {p.name}{' '}
+                      <span class="text-sm text-red-700 dark:text-red-300">({p.meals.join(', ')})</span>{' '}
+                      <RecentChangeBadge date={p.changedAt} />
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : (
+        <p class="text-gray-700 dark:text-gray-300">
+          <i class="fa-solid fa-circle-check text-green-600 mr-1"></i>
+          No airborne allergies at any meal.
+        </p>
+      )}
+
+      {summaries.map((summary, index) => (
+        <section key={index} class="space-y-4">
+          <h3 class="text-2xl font-bold text-gray-900 dark:text-gray-100 pb-2 border-b-2 border-blue-500">
+            {summary.mealName}
+          </h3>
+          <SummaryDetails
+            summary={summary}
+            otherGrouping={otherGrouping}
+            onOtherGroupingChange={onOtherGroupingChange}
+          />
+        </section>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,125 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import { SEVERITY_LEVELS } from '../lib/severity.js';
+
+const inputClass = "px-3 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+// Add a one-off guest who isn't in the spreadsheet: a name plus restrictions
+// picked from the sheet's items. `takenNames` (lowercase) are names already
+// at the meal.
+export default function GuestForm({ restrictionsList, takenNames, onAdd, onCancel }) {
+  const [name, setName] = useState("");
+  const [restrictions, setRestrictions] = useState([]);
+  const [error, setError] = useState("");
+
+  const unusedItems = restrictionsList.filter(item => !restrictions.some(r => r.item === item));
+
+  function handleAddRestriction() {
+    if (unusedItems.length === 0) return;
+    setRestrictions([...restrictions, { item: unusedItems[0], severity: 'no', notes: '' }]);
+  }
+
+  function updateRestriction(index, changes) {
+    setRestrictions(restrictions.map((r, i) => (i === index ? { ...r, ...changes } : r)));
+  }
+
+  function handleSubmit(e) {
+    e.preventDefault();
+    const trimmed = name.trim();
+    if (!trimmed) return;
+
+    if (takenNames.includes(trimmed.toLowerCase())) {
+      setError(`${trimmed} is already at this meal.`);
+      return;
+    }
+    onAdd({ name: trimmed, guest: true, restrictions });
+  }
+
+  return (
+    <form onSubmit={handleSubmit} class="mt-4 p-4 rounded-lg bg-gray-50 dark:bg-gray-900/40 space-y-4">
+      <div>
+        <label htmlFor="guest-name" class="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+          Guest Name
+        </label>
+        <input
+          type="text"
+          id="guest-name"
+          value={name}
+          onInput={(e) => { setName(e.target.value); setError(""); }}
+          placeholder="e.g., Dana (Avi's cousin)"
+          class={`block w-full ${inputClass}`}
+        />
+      </div>
+
+      <div class="space-y-2">
+        <span class="block text-sm font-semibold text-gray-700 dark:text-gray-300">Restrictions</span>
+        {restrictions.length === 0 && (
+          <p class="text-sm text-gray-600 dark:text-gray-400">None - add any the guest mentioned.</p>
+        )}
+        {restrictions.map((restriction, index) => (
+          <div key={restriction.item} class="flex flex-wrap items-center gap-2">
+            <select
+              value={restriction.item}
+              onChange={(e) => updateRestriction(index, { item: e.target.value })}
+              class={inputClass}
+              aria-label="Restriction"
+            >
+              {[restriction.item, ...unusedItems].map(item => (
+                <option key={item} value={item}>{item}</option>
+              ))}
+            </select>
+            <select
+              value={restriction.severity}
+              onChange={(e) => updateRestriction(index, { severity: e.target.value })}
+              class={inputClass}
+              aria-label={`Severity for ${restriction.item}`}
+            >
+              {SEVERITY_LEVELS.map(level => (
+                <option key={level.id} value={level.id}>{level.label}</option>
+              ))}
+            </select>
+            <button
+              type="button"
+              onClick={() => setRestrictions(restrictions.filter((_, i) => i !== index))}
+              class="px-2 py-1 text-gray-600 dark:text-gray-400 hover:text-red-600 dark:hover:text-red-400 transition-colors"
+              aria-label={`Remove ${restriction.item}`}
+            >
+              <i class="fa-solid fa-xmark"></i>
+            </button>
+          </div>
+        ))}
+        {unusedItems.length > 0 && (
+          <button
+            type="button"
+            onClick={handleAddRestriction}
+            class="text-sm font-semibold text-blue-600 dark:text-blue-400 hover:underline"
+          >
+            <i class="fa-solid fa-plus mr-1"></i>
+            Add restriction
+          </button>
+        )}
+      </div>
+
+      {error && (
+        <p class="text-red-700 dark:text-red-400 font-medium" role="alert">{error}</p>
+      )}
+
+      <div class="flex gap-2">
+        <button
+          type="submit"
+          disabled={!name.trim()}
+          class="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Add Guest
+        </button>
+        <button
+          type="button"
+          onClick={onCancel}
+          class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+    </form>
+  );
+}
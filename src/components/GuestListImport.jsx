@@ -0,0 +1,142 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import { matchGuestList } from '../lib/guest-list.js';
+
+const STATUS_STYLES = {
+  matched: { icon: 'fa-circle-check', color: 'text-green-700 dark:text-green-400', label: 'Matched' },
+  ambiguous: { icon: 'fa-circle-question', color: 'text-amber-700 dark:text-amber-400', label: 'Pick one' },
+  unmatched: { icon: 'fa-circle-xmark', color: 'text-red-700 dark:text-red-400', label: 'Not found' }
+};
+
+// "Paste guest list" mode for step 1: match an RSVP list against `members`,
+// let the host review the matches, then hand the chosen names (lowercase)
+// to onAdd.
+export default function GuestListImport({ members, selectedAttendees, onAdd, onClose }) {
+  const [text, setText] = useState("");
+  const [results, setResults] = useState(null);
+  // Row index -> chosen member name ("" to skip the row)
+  const [choices, setChoices] = useState({});
+
+  function handleMatch() {
+    const matched = matchGuestList(text, members);
+    setResults(matched);
+    setChoices(Object.fromEntries(
+      matched.map((result, index) => [index, result.member ? result.member.name : ""])
+    ));
+  }
+
+  // Close matches for a name we recognized, anyone for a name we didn't
+  function getOptions(result) {
+    return result.status === 'unmatched'
+      ? members
+      : result.candidates.map(candidate => candidate.member);
+  }
+
+  function isSelected(name) {
+    return selectedAttendees.includes(name.toLowerCase());
+  }
+
+  const chosenNames = results
+    ? [...new Set(Object.values(choices).filter(Boolean).map(name => name.toLowerCase()))]
+        .filter(name => !selectedAttendees.includes(name))
+    : [];
+
+  function handleAdd() {
+    onAdd(chosenNames);
+    setText("");
+    setResults(null);
+    setChoices({});
+  }
+
+  return (
+    <div class="mt-4 space-y-4">
+      <div>
+        <label htmlFor="guest-list" class="block text-sm text-gray-700 dark:text-gray-300 mb-2">
+          Paste the RSVP list - one name per line, or separated by commas. Chat timestamps, numbering and "+1"s are ignored.
+        </label>
+        <textarea
+          id="guest-list"
+          rows={5}
+          value={text}
+          onInput={(e) => setText(e.target.value)}
+          placeholder={"e.g.\n1. Avi Cohen\n2. Rivka & Dov +1"}
+          class="block w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      <div class="flex gap-2">
+        <button
+          onClick={handleMatch}
+          disabled={!text.trim()}
+          class="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Match Names
+        </button>
+        <button
+          onClick={onClose}
+          class="px-4 py-2 bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+        >
+          Cancel
+        </button>
+      </div>
+
+      {results && (
+        results.length === 0 ? (
+          <p class="text-gray-600 dark:text-gray-400">No names found in the pasted text.</p>
+        ) : (
+          <div class="space-y-4">
+            <div class="overflow-x-auto">
+              <table class="w-full text-left text-sm">
+                <thead>
+                  <tr class="border-b border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300">
+                    <th class="py-2 pr-4 font-semibold">Pasted</th>
+                    <th class="py-2 pr-4 font-semibold">Status</th>
+                    <th class="py-2 font-semibold">Attendee</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {results.map((result, index) => {
+                    const style = STATUS_STYLES[result.status];
+                    return (
+                      <tr key={index} class="border-b border-gray-200 dark:border-gray-700 text-gray-900 dark:text-gray-100">
+                        <td class="py-2 pr-4">{result.input}</td>
+                        <td class={`py-2 pr-4 whitespace-nowrap ${style.color}`}>
+                          <i class={`fa-solid ${style.icon} mr-1`}></i>
+                          {style.label}
+                        </td>
+                        <td class="py-2">
+                          <select
+                            value={choices[index]}
+                            onChange={(e) => setChoices({ ...choices, [index]: e.target.value })}
+                            class="px-2 py-1 border border-gray-300 dark:border-gray-600 rounded bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 text-sm"
+                            aria-label={`Attendee for ${result.input}`}
+                          >
+                            <option value="">Skip</option>
+                            {getOptions(result).map(member => (
+                              <option key={member.name} value={member.name}>{member.name}</option>
+                            ))}
+                          </select>
+                          {choices[index] && isSelected(choices[index]) && (
+                            <span class="ml-2 text-gray-500 dark:text-gray-400">already added</span>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+
+            <button
+              onClick={handleAdd}
+              disabled={chosenNames.length === 0}
+              class="px-4 py-2 bg-blue-600 text-white font-semibold rounded-lg hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              Add {chosenNames.length} {chosenNames.length === 1 ? 'Attendee' : 'Attendees'}
+            </button>
+          </div>
+        )
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,132 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import { findConflicts } from '../lib/restrictions.js';
+import { matchIngredients } from '../lib/ingredients.js';
+import { expandWithDescendants, preferSpecificMatches, getAncestors } from '../lib/taxonomy.js';
+import SeverityBadge from './SeverityBadge.jsx';
+import allergenKeywords from '../data/allergen-keywords.json';
+
+export default function IngredientChecker({ summary, restrictionsList }) {
+  const [ingredientText, setIngredientText] = useState("");
+
+  // Taxonomy items count too, so "walnut" is reported as Walnuts (a kind of
+  // Nuts) and doesn't affect someone who only avoids almonds
+  const matches = ingredientText.trim()
+    ? preferSpecificMatches(
+        matchIngredients(ingredientText, expandWithDescendants(restrictionsList), allergenKeywords)
+      )
+    : [];
+  const conflicts = findConflicts(matches.map(m => m.item), summary.byPerson);
+  const affectedCount = conflicts.airborne.length + conflicts.cannot.length +
+                        conflicts.smallAmounts.length + conflicts.preference.length;
+
+  return (
+    <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500 space-y-4">
+      <div>
+        <h3 class="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-2">
+          Check Ingredients
+        </h3>
+        <label htmlFor="ingredient-text" class="block text-sm text-gray-700 dark:text-gray-300 mb-2">
+          Paste a recipe or a product's ingredient label to see who at this meal is affected.
+        </label>
+        <textarea
+          id="ingredient-text"
+          rows={4}
+          value={ingredientText}
+          onInput={(e) => setIngredientText(e.target.value)}
+          placeholder="e.g., semolina, whey, soy lecithin, salt"
+          class="block w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+
+      {ingredientText.trim() && (
+        <div class="space-y-4">
+          {/* Matched restriction items */}
+          {matches.length > 0 ? (
+            <div>
+              <h4 class="font-bold text-gray-900 dark:text-gray-100 mb-2">Found</h4>
+              <ul class="ml-6 space-y-1 list-disc marker:text-blue-600">
+                {matches.map(match => (
+                  <li key={match.item} class="text-gray-700 dark:text-gray-300">
+                    <span class="font-medium">{match.item}</span>
+                    {getAncestors(match.item).length > 0 && (
+                      <span class="text-sm text-gray-500 dark:text-gray-400"> ({[...getAncestors(match.item)].reverse().join(' › ')})</span>
+                    )}
+                    : {match.ingredients.join(', ')}
+                  </li>
+                ))}
+              </ul>
+            </div>
+          ) : (
+            <p class="text-gray-700 dark:text-gray-300 italic">
+              No known allergens or restriction items found in this list.
+            </p>
+          )}
+
+          {/* Airborne */}
+          {conflicts.airborne.length > 0 && (
+            <div class="bg-red-50 dark:bg-red-950 border-2 border-red-500 dark:border-red-600 rounded-lg p-4">
+              <h4 class="font-bold text-red-700 dark:text-red-400 mb-2 flex items-center gap-2">
+                <i class="fa-solid fa-triangle-exclamation"></i>
+                AIRBORNE - do not bring this into the meal
+              </h4>
+              <ul class="ml-6 space-y-1 list-disc marker:text-red-600">
+                {conflicts.airborne.map(c => (
+                  <li key={`${c.name}-${c.item}`} class="text-red-900 dark:text-red-200">
+                    {c.name} ({c.item})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {conflicts.cannot.length > 0 && (
+            <div>
+              <h4 class="font-bold text-gray-900 dark:text-gray-100 mb-2">Can't eat</h4>
+              <ul class="ml-6 space-y-1 list-disc marker:text-blue-600">
+                {conflicts.cannot.map(c => (
+                  <li key={`${c.name}-${c.item}`} class="text-gray-700 dark:text-gray-300">
+                    {c.name} ({c.item}) <SeverityBadge severity={c.severity} item={c.item} />
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {conflicts.smallAmounts.length > 0 && (
+            <div>
+              <h4 class="font-bold text-gray-900 dark:text-gray-100 mb-2">Small amounts only</h4>
+              <ul class="ml-6 space-y-1 list-disc marker:text-blue-600">
+                {conflicts.smallAmounts.map(c => (
+                  <li key={`${c.name}-${c.item}`} class="text-gray-700 dark:text-gray-300">
+                    {c.name} ({c.item})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {conflicts.preference.length > 0 && (
+            <div>
+              <h4 class="font-bold text-gray-900 dark:text-gray-100 mb-2">Prefers to avoid</h4>
+              <ul class="ml-6 space-y-1 list-disc marker:text-blue-600">
+                {conflicts.preference.map(c => (
+                  <li key={`${c.name}-${c.item}`} class="text-gray-700 dark:text-gray-300">
+                    {c.name} ({c.item})
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+
+          {matches.length > 0 && affectedCount === 0 && (
+            <p class="text-green-700 dark:text-green-400 font-medium flex items-center gap-1">
+              <i class="fa-solid fa-check-circle"></i>
+              Nobody at this meal is affected
+            </p>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
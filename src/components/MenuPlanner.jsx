@@ -0,0 +1,238 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import { findConflicts, findDietAttendees, isIngredientItem, isDietItem } from '../lib/restrictions.js';
+import { expandWithDescendants, isSameItem } from '../lib/taxonomy.js';
+import SeverityBadge from './SeverityBadge.jsx';
+
+function formatConflict(entry) {
+  return `${entry.name} (${entry.item})`;
+}
+
+function ItemChip({ item, selected, onToggle }) {
+  return (
+    <button
+      type="button"
+      onClick={onToggle}
+      aria-pressed={selected}
+      class={`px-3 py-1 rounded-full text-sm font-medium border transition-colors ${
+        selected
+          ? 'bg-blue-600 border-blue-600 text-white'
+          : 'border-gray-300 dark:border-gray-600 text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+      }`}
+    >
+      {item}
+    </button>
+  );
+}
+
+function DishResult({ dish, attendees, onRemove }) {
+  const conflicts = findConflicts(dish.items, attendees);
+  const isSafe = conflicts.airborne.length === 0 &&
+                 conflicts.cannot.length === 0 &&
+                 conflicts.smallAmounts.length === 0 &&
+                 conflicts.preference.length === 0;
+  // Diets can't be tagged on a dish, so "safe" only covers allergies
+  const dietAttendees = findDietAttendees(attendees);
+
+  return (
+    <div class={`rounded-lg p-4 border-2 ${
+      conflicts.airborne.length > 0
+        ? 'border-red-500 dark:border-red-600 bg-red-50 dark:bg-red-950'
+        : 'border-gray-200 dark:border-gray-700'
+    }`}>
+      <div class="flex justify-between items-start gap-2 mb-2">
+        <div>
+          <h4 class="font-bold text-gray-900 dark:text-gray-100">{dish.name}</h4>
+          <p class="text-sm text-gray-600 dark:text-gray-400">
+            {dish.items.length > 0 ? `Contains: ${dish.items.join(', ')}` : 'No restriction items tagged'}
+          </p>
+        </div>
+        <button
+          onClick={onRemove}
+          class="w-8 h-8 flex items-center justify-center text-gray-500 dark:text-gray-400 hover:text-gray-900 dark:hover:text-gray-100 focus:outline-none transition-colors"
+          title="Remove dish"
+          aria-label={`Remove ${dish.name}`}
+        >
+          <i class="fa-solid fa-trash"></i>
+        </button>
+      </div>
+
+      {/* Blocking airborne warning */}
+      {conflicts.airborne.length > 0 && (
+        <div class="mb-3 p-3 bg-red-600 text-white rounded font-bold flex items-start gap-2">
+          <i class="fa-solid fa-triangle-exclamation mt-1"></i>
+          <span>
+            DO NOT SERVE - contains an airborne allergen for {conflicts.airborne.map(formatConflict).join(', ')}
+          </span>
+        </div>
+      )}
+
+      {conflicts.cannot.length > 0 && (
+        <p class="text-sm text-gray-800 dark:text-gray-200">
+          <span class="font-semibold">Can't eat:</span>{' '}
+          {conflicts.cannot.map(c => (
+            <span key={`${c.name}-${c.item}`} class="inline-flex items-center gap-1 mr-2">
+              {formatConflict(c)}
+              <SeverityBadge severity={c.severity} item={c.item} compact />
+            </span>
+          ))}
+        </p>
+      )}
+
+      {conflicts.smallAmounts.length > 0 && (
+        <p class="text-sm text-gray-800 dark:text-gray-200">
+          <span class="font-semibold">Small amounts only:</span>{' '}
+          {conflicts.smallAmounts.map(formatConflict).join(', ')}
+        </p>
+      )}
+
+      {conflicts.preference.length > 0 && (
+        <p class="text-sm text-gray-800 dark:text-gray-200">
+          <span class="font-semibold">Prefers to avoid:</span>{' '}
+          {conflicts.preference.map(formatConflict).join(', ')}
+        </p>
+      )}
+
+      {isSafe && dietAttendees.length === 0 && (
+        <p class="text-sm text-green-700 dark:text-green-400 font-medium flex items-center gap-1">
+          <i class="fa-solid fa-check-circle"></i>
+          Safe for everyone at this meal
+        </p>
+      )}
+
+      {isSafe && dietAttendees.length > 0 && (
+        <p class="text-sm text-amber-700 dark:text-amber-400 font-medium flex items-start gap-1">
+          <i class="fa-solid fa-circle-info mt-1"></i>
+          <span>
+            No allergy conflicts. Diets weren't checked - make sure it suits{' '}
+            {dietAttendees.map(formatConflict).join(', ')}.
+          </span>
+        </p>
+      )}
+    </div>
+  );
+}
+
+export default function MenuPlanner({ summary, restrictionsList, dishes, onDishesChange }) {
+  const [dishName, setDishName] = useState("");
+  const [dishItems, setDishItems] = useState([]);
+
+  // Diets (Vegetarian, Vegan) aren't something a dish contains
+  const itemOptions = restrictionsList.filter(item => isIngredientItem(item) && !isDietItem(item));
+  // More specific items from the allergen taxonomy, e.g. "Almonds" under "Nuts"
+  const specificOptions = expandWithDescendants(itemOptions)
+    .filter(item => !itemOptions.some(option => isSameItem(option, item)));
+
+  function toggleItem(item) {
+    setDishItems(prev =>
+      prev.includes(item)
+        ? prev.filter(i => i !== item)
+        : [...prev, item]
+    );
+  }
+
+  function handleAddDish(e) {
+    e.preventDefault();
+    if (!dishName.trim()) return;
+
+    onDishesChange([...dishes, { name: dishName.trim(), items: dishItems }]);
+    setDishName("");
+    setDishItems([]);
+  }
+
+  function handleRemoveDish(index) {
+    onDishesChange(dishes.filter((_, i) => i !== index));
+  }
+
+  const blockedCount = dishes.filter(dish =>
+    findConflicts(dish.items, summary.byPerson).airborne.length > 0
+  ).length;
+
+  return (
+    <div class="space-y-6">
+      {/* Add Dish Form */}
+      <form
+        onSubmit={handleAddDish}
+        class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500 space-y-4"
+      >
+        <h2 class="text-2xl font-bold text-gray-900 dark:text-gray-100">
+          Plan the Menu
+        </h2>
+        <div>
+          <label htmlFor="dish-name" class="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+            Dish
+          </label>
+          <input
+            type="text"
+            id="dish-name"
+            value={dishName}
+            onInput={(e) => setDishName(e.target.value)}
+            placeholder="e.g., Potato kugel, Challah, Chicken soup"
+            class="block w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+        </div>
+        <div>
+          <span class="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+            Contains
+          </span>
+          <div class="flex flex-wrap gap-2">
+            {itemOptions.map(item => (
+              <ItemChip
+                key={item}
+                item={item}
+                selected={dishItems.includes(item)}
+                onToggle={() => toggleItem(item)}
+              />
+            ))}
+          </div>
+        </div>
+        {specificOptions.length > 0 && (
+          <div>
+            <span class="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+              More specific
+            </span>
+            <div class="flex flex-wrap gap-2">
+              {specificOptions.map(item => (
+                <ItemChip
+                  key={item}
+                  item={item}
+                  selected={dishItems.includes(item)}
+                  onToggle={() => toggleItem(item)}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+        <button
+          type="submit"
+          disabled={!dishName.trim()}
+          class="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+        >
+          Add Dish
+        </button>
+      </form>
+
+      {/* Dish Results */}
+      {dishes.length > 0 && (
+        <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500 space-y-4">
+          <h3 class="text-2xl font-bold text-gray-900 dark:text-gray-100 pb-2 border-b-2 border-gray-300 dark:border-gray-600">
+            Menu Check
+          </h3>
+          {blockedCount > 0 && (
+            <p class="text-red-700 dark:text-red-400 font-semibold">
+              {blockedCount} dish{blockedCount !== 1 ? 'es' : ''} can't be served because of airborne allergies.
+            </p>
+          )}
+          {dishes.map((dish, index) => (
+            <DishResult
+              key={`${dish.name}-${index}`}
+              dish={dish}
+              attendees={summary.byPerson}
+              onRemove={() => handleRemoveDish(index)}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,90 @@
+import { h } from 'preact';
+import RestrictionsBySeverity from './RestrictionsBySeverity.jsx';
+
+// Filter out "Attending?" and "Approved?" from restrictions
+function getMemberRestrictions(member) {
+  return member.restrictions.filter(r =>
+    !r.item.toLowerCase().includes('attending') &&
+    !r.item.toLowerCase().includes('approved')
+  );
+}
+
+// A single member's preview page - rendered at build time by
+// src/pages/preview/[person].astro and the per-group equivalent, or in the
+// browser by ProtectedPersonPreview (/preview?person=) when the dataset is
+// encrypted.
+export default function PersonPreview({ member }) {
+  const restrictions = getMemberRestrictions(member);
+  const airborneRestrictions = restrictions.filter(r => r.severity === "airborne");
+  const otherRestrictions = restrictions.filter(r => r.severity !== "airborne");
+  const hasOnlyNone = restrictions.length === 1 && restrictions[0].item.toLowerCase() === 'none';
+  const hasNoRestrictions = restrictions.length === 0;
+
+  return (
+    <div class="space-y-6">
+      {/* Personalized Header */}
+      <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500">
+        <h2 class="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-3">
+          Hi {member.name}! 👋
+        </h2>
+        <p class="text-gray-700 dark:text-gray-300 mb-4">
+          This is how your dietary restrictions will appear when someone includes you in a meal plan.
+          Please review and confirm this information is accurate.
+        </p>
+        {member.approved ? (
+          <div class="inline-flex items-center gap-2 px-3 py-2 bg-green-100 dark:bg-green-900/30 text-green-800 dark:text-green-300 rounded-lg">
+            <i class="fa-solid fa-check-circle"></i>
+            <span class="font-medium">Your information has been approved</span>
+          </div>
+        ) : (
+          <div class="inline-flex items-center gap-2 px-3 py-2 bg-yellow-100 dark:bg-yellow-900/30 text-yellow-800 dark:text-yellow-300 rounded-lg">
+            <i class="fa-solid fa-clock"></i>
+            <span class="font-medium">Pending approval - Please review and confirm this is correct</span>
+          </div>
+        )}
+      </div>
+
+      {/* Member's Restrictions */}
+      <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500">
+        <h3 class="text-xl font-bold text-gray-900 dark:text-gray-100 mb-4">
+          Your Dietary Restrictions
+        </h3>
+
+        {/* Airborne Allergies */}
+        {airborneRestrictions.length > 0 && (
+          <div class="mb-6 bg-red-50 dark:bg-red-950 border-2 border-red-500 dark:border-red-600 rounded-lg p-4">
+            <h4 class="text-lg font-bold text-red-700 dark:text-red-400 mb-3 flex items-center gap-2">
+              <i class="fa-solid fa-triangle-exclamation"></i>
+              AIRBORNE ALLERGIES
+            </h4>
+            <ul class="space-y-2">
+              {airborneRestrictions.map(r => (
+                <li key={r.item} class="text-red-900 dark:text-red-200 font-medium">
+                  • {r.item}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
+        {/* Other Restrictions */}
+        {hasOnlyNone || hasNoRestrictions ? (
+          <p class="text-gray-700 dark:text-gray-300 text-lg">
+            <span class="font-semibold">No dietary restrictions</span>
+          </p>
+        ) : otherRestrictions.length > 0 ? (
+          <RestrictionsBySeverity restrictions={otherRestrictions} large />
+        ) : null}
+
+        {/* Action Note */}
+        {!member.approved && (
+          <div class="mt-6 pt-6 border-t border-gray-200 dark:border-gray-700">
+            <p class="text-sm text-gray-600 dark:text-gray-400">
+              If this information is incorrect or needs updating, please contact the organizer to make changes.
+            </p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
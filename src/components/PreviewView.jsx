@@ -1,9 +1,19 @@
 import { h } from 'preact';
 import { useState } from 'preact/hooks';
-
-export default function PreviewView({ data }) {
+import RestrictionsBySeverity from './RestrictionsBySeverity.jsx';
+import ProtectedPersonPreview from './ProtectedPersonPreview.jsx';
+import { getPersonSlug } from '../lib/members.js';
+import { withDataset } from './UnlockGate.jsx';
+
+// Pending members, each linking to their preview. Protected builds have no
+// per-person pages (`clientRouted`), so the person goes in ?person= instead.
+function PreviewView({ data, basePath = '', clientRouted = false }) {
   const [searchQuery, setSearchQuery] = useState("");
 
+  const getPreviewUrl = (member) => (clientRouted
+    ? `${basePath}/preview?person=${encodeURIComponent(getPersonSlug(member.name))}`
+    : `${basePath}/preview/${getPersonSlug(member.name)}`);
+
   // Filter out "Attending?" and "Approved?" from restrictions
   const getMemberRestrictions = (member) => {
     return member.restrictions.filter(r =>
@@ -22,6 +32,13 @@ export default function PreviewView({ data }) {
     );
   }
 
+  const person = clientRouted && typeof window !== 'undefined'
+    ? new URLSearchParams(window.location.search).get('person')
+    : null;
+  if (person) {
+    return <ProtectedPersonPreview data={data} person={person} basePath={basePath} />;
+  }
+
   // Filter members based on search query (admin view - only show unapproved)
   const filteredMembers = data.members.filter(member => {
     // Only show unapproved members
@@ -46,7 +63,7 @@ export default function PreviewView({ data }) {
           <div>
             <h2 class="text-lg font-bold text-yellow-800 dark:text-yellow-300">Preview Mode - Pending Approvals</h2>
             <p class="text-sm text-yellow-700 dark:text-yellow-400">
-              Showing {unapprovedCount} pending member{unapprovedCount !== 1 ? 's' : ''}. Click a card to view their preview page at <code class="bg-yellow-100 dark:bg-yellow-800 px-1 rounded">/preview/name</code>
+              Showing {unapprovedCount} pending member{unapprovedCount !== 1 ? 's' : ''}. Click a card to view their preview page at <code class="bg-yellow-100 dark:bg-yellow-800 px-1 rounded">{clientRouted ? `${basePath}/preview?person=name` : `${basePath}/preview/name`}</code>
             </p>
           </div>
         </div>
@@ -77,7 +94,7 @@ export default function PreviewView({ data }) {
           const hasOnlyNone = restrictions.length === 1 && restrictions[0].item.toLowerCase() === 'none';
           const hasNoRestrictions = restrictions.length === 0;
 
-          const previewUrl = `/preview/${member.name.toLowerCase().replace(/\s+/g, '-')}`;
+          const previewUrl = getPreviewUrl(member);
 
           return (
             <a
@@ -128,19 +145,7 @@ export default function PreviewView({ data }) {
               {hasOnlyNone || hasNoRestrictions ? (
                 <p class="text-gray-700 dark:text-gray-300 italic">None</p>
               ) : otherRestrictions.length > 0 ? (
-                <div>
-                  <h4 class="text-sm font-semibold text-gray-700 dark:text-gray-400 mb-2">
-                    Restrictions
-                  </h4>
-                  <ul class="space-y-1">
-                    {otherRestrictions.map(r => (
-                      <li key={r.item} class="text-sm text-gray-700 dark:text-gray-300">
-                        • {r.item}
-                        {r.severity !== 'yes' && ` (${r.severity})`}
-                      </li>
-                    ))}
-                  </ul>
-                </div>
+                <RestrictionsBySeverity restrictions={otherRestrictions} />
               ) : null}
 
             </a>
@@ -163,3 +168,5 @@ export default function PreviewView({ data }) {
     </div>
   );
 }
+
+export default withDataset(PreviewView);
@@ -0,0 +1,27 @@
+import { h } from 'preact';
+import PersonPreview from './PersonPreview.jsx';
+import { getPersonSlug } from '../lib/members.js';
+
+// PersonPreview for passphrase-protected builds, where there are no
+// per-person pages: PreviewView shows it for /preview?person=<slug> once the
+// dataset is unlocked, so member names never appear in the site's URLs
+export default function ProtectedPersonPreview({ data, person, basePath = '' }) {
+  const member = data.members.find(m => getPersonSlug(m.name) === person);
+
+  return (
+    <div class="space-y-6">
+      <a href={`${basePath}/preview`} class="text-sm text-blue-600 dark:text-blue-400 hover:underline">
+        ← All pending members
+      </a>
+      {member ? (
+        <PersonPreview member={member} />
+      ) : (
+        <div class="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-6">
+          <p class="text-yellow-800 dark:text-yellow-200">
+            This person isn't in the dietary restrictions data.
+          </p>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,18 @@
+import { h } from 'preact';
+import { isRecentChange, formatChangeDate, RECENT_CHANGE_DAYS } from '../lib/recent-changes.js';
+
+// Shown next to items that changed in the last RECENT_CHANGE_DAYS days, so
+// hosts who know someone's restrictions by heart notice the update
+export default function RecentChangeBadge({ date, compact = false }) {
+  if (!isRecentChange(date)) return null;
+
+  return (
+    <span
+      class="inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap bg-purple-100 text-purple-800 dark:bg-purple-900/40 dark:text-purple-300"
+      title={`Changed on ${date} (within the last ${RECENT_CHANGE_DAYS} days)`}
+    >
+      <i class="fa-solid fa-clock-rotate-left"></i>
+      {!compact && `Changed ${formatChangeDate(date)}`}
+    </span>
+  );
+}
@@ -0,0 +1,162 @@
+import { h } from 'preact';
+import { useState } from 'preact/hooks';
+import {
+  buildRestrictionMatrix,
+  MATRIX_COLUMN_SORTS,
+  sortMatrixColumns,
+  sortMatrixRows,
+  filterMatrix,
+  formatMatrixAsCsv
+} from '../lib/matrix.js';
+import { getSeverityLevel } from '../lib/severity.js';
+import { downloadFile } from '../lib/download.js';
+
+const inputClass = "px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent";
+
+function SortIndicator({ active, descending }) {
+  if (!active) return null;
+  return <i class={`fa-solid ${descending ? 'fa-arrow-up' : 'fa-arrow-down'} ml-1 text-xs`}></i>;
+}
+
+// Attendees × restriction items for one meal's summary. Click a column
+// header to sort people by it; click "Person" to sort by name.
+export default function RestrictionMatrix({ summary }) {
+  const [personQuery, setPersonQuery] = useState("");
+  const [itemQuery, setItemQuery] = useState("");
+  const [onlyRestricted, setOnlyRestricted] = useState(false);
+  const [columnSort, setColumnSort] = useState('summary');
+  const [rowSort, setRowSort] = useState({ item: null, descending: false });
+
+  const filtered = filterMatrix(buildRestrictionMatrix(summary), { personQuery, itemQuery, onlyRestricted });
+  const columns = sortMatrixColumns(filtered.columns, columnSort);
+  const rows = sortMatrixRows(filtered.rows, rowSort);
+
+  // Clicking the sorted column again flips its direction
+  function handleSortRows(item) {
+    setRowSort(prev => ({ item, descending: prev.item === item ? !prev.descending : false }));
+  }
+
+  function handleDownload() {
+    const filename = summary.mealName
+      ? `${summary.mealName.replace(/\s+/g, '-')}-restriction-grid.csv`
+      : 'restriction-grid.csv';
+    downloadFile(filename, formatMatrixAsCsv({ columns, rows }), 'text/csv');
+  }
+
+  return (
+    <div class="space-y-3">
+      <div class="flex flex-wrap items-center gap-2">
+        <input
+          type="search"
+          value={personQuery}
+          onInput={(e) => setPersonQuery(e.target.value)}
+          placeholder="Filter people"
+          aria-label="Filter people"
+          class={inputClass}
+        />
+        <input
+          type="search"
+          value={itemQuery}
+          onInput={(e) => setItemQuery(e.target.value)}
+          placeholder="Filter items"
+          aria-label="Filter restriction items"
+          class={inputClass}
+        />
+        <select
+          value={columnSort}
+          onChange={(e) => setColumnSort(e.target.value)}
+          aria-label="Sort columns"
+          class={inputClass}
+        >
+          {MATRIX_COLUMN_SORTS.map(sort => (
+            <option key={sort.id} value={sort.id}>Columns: {sort.label}</option>
+          ))}
+        </select>
+        <label class="inline-flex items-center gap-2 text-sm text-gray-700 dark:text-gray-300 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={onlyRestricted}
+            onChange={(e) => setOnlyRestricted(e.target.checked)}
+            class="w-4 h-4 text-blue-600 border-gray-300 rounded focus:ring-blue-500"
+          />
+          Only people with restrictions
+        </label>
+        <button
+          onClick={handleDownload}
+          class="ml-auto px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 transition-colors"
+        >
+          <i class="fa-solid fa-file-csv mr-1"></i>
+          Download CSV
+        </button>
+      </div>
+
+      {columns.length > 0 && rows.length > 0 ? (
+        <div class="overflow-x-auto max-h-[70vh] border border-gray-200 dark:border-gray-700 rounded-lg">
+          <table class="text-sm border-collapse">
+            <thead class="sticky top-0 z-10 bg-gray-50 dark:bg-gray-900">
+              <tr>
+                <th class="sticky left-0 z-20 bg-gray-50 dark:bg-gray-900 px-3 py-2 text-left">
+                  <button
+                    onClick={() => handleSortRows(null)}
+                    class="font-semibold text-gray-900 dark:text-gray-100 hover:underline"
+                  >
+                    Person
+                    <SortIndicator active={rowSort.item === null} descending={rowSort.descending} />
+                  </button>
+                </th>
+                {columns.map(column => (
+                  <th
+                    key={column.item}
+                    class={`px-2 py-2 text-center align-bottom ${column.airborne ? 'bg-red-50 dark:bg-red-950' : ''}`}
+                  >
+                    <button
+                      onClick={() => handleSortRows(column.item)}
+                      class={`font-semibold whitespace-nowrap hover:underline ${
+                        column.airborne ? 'text-red-700 dark:text-red-400' : 'text-gray-900 dark:text-gray-100'
+                      }`}
+                      title={`Sort people by ${column.item}`}
+                    >
+                      {column.airborne && <i class="fa-solid fa-triangle-exclamation mr-1"></i>}
+                      {column.item}
+                      <span class="ml-1 font-normal text-gray-500 dark:text-gray-400">({column.count})</span>
+                      <SortIndicator active={rowSort.item === column.item} descending={rowSort.descending} />
+                    </button>
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody class="divide-y divide-gray-200 dark:divide-gray-700">
+              {rows.map(row => (
+                <tr key={row.name}>
+                  <th class="sticky left-0 bg-white dark:bg-gray-800 px-3 py-1.5 text-left font-medium text-gray-900 dark:text-gray-100 whitespace-nowrap">
+                    {row.name}
+                    {row.guest && <span class="ml-1 text-xs text-gray-500 dark:text-gray-400">(guest)</span>}
+                  </th>
+                  {columns.map(column => {
+                    const cell = row.cells[column.item];
+                    if (!cell) {
+                      return <td key={column.item} class="px-2 py-1.5"></td>;
+                    }
+                    const level = getSeverityLevel(cell.severity, cell.notes, column.item);
+                    return (
+                      <td
+                        key={column.item}
+                        class={`px-2 py-1.5 text-center ${level.badgeClass}`}
+                        title={`${row.name} - ${column.item}: ${level.label}${cell.notes ? ` (${cell.notes})` : ''}`}
+                      >
+                        <i class={`fa-solid ${level.icon}`}></i>
+                        <span class="sr-only">{level.label}</span>
+                      </td>
+                    );
+                  })}
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p class="text-gray-700 dark:text-gray-300 italic">Nothing matches these filters.</p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,32 @@
+import { h } from 'preact';
+import { groupBySeverity } from '../lib/severity.js';
+import RecentChangeBadge from './RecentChangeBadge.jsx';
+
+// A member's non-airborne restrictions, grouped under a heading per
+// severity level. Airborne allergies get their own red box in each view.
+export default function RestrictionsBySeverity({ restrictions, large = false }) {
+  const groups = groupBySeverity(restrictions.filter(r => r.severity !== 'airborne'));
+
+  return (
+    <div class={large ? 'space-y-4' : 'space-y-3'}>
+      {groups.map(([level, entries]) => (
+        <div key={level.id}>
+          <h4 class={`text-sm font-semibold mb-1 flex items-center gap-1 ${level.headingClass}`}>
+            <i class={`fa-solid ${level.icon}`}></i>
+            {level.label}
+          </h4>
+          <ul class={large ? 'space-y-2' : 'space-y-1'}>
+            {entries.map(r => (
+              <li
+                key={r.item}
+                class={large ? 'text-gray-700 dark:text-gray-300 font-medium' : 'text-sm text-gray-700 dark:text-gray-300'}
+              >
+                • {r.item} <RecentChangeBadge date={r.changedAt} />
+              </li>
+            ))}
+          </ul>
+        </div>
+      ))}
+    </div>
+  );
+}
@@ -0,0 +1,69 @@
+import { h } from 'preact';
+import { buildSafeForTable } from '../lib/restriction-guide.js';
+
+// Cooking help for one meal (or a whole event): for each restriction at the
+// table, what to watch for and which substitutes work for everyone at once.
+export default function SafeForTablePanel({ summary }) {
+  const entries = buildSafeForTable(summary);
+
+  if (entries.length === 0) {
+    return null;
+  }
+
+  return (
+    <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-green-500 space-y-4">
+      <div>
+        <h3 class="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-2">
+          Safe for This Table
+        </h3>
+        <p class="text-sm text-gray-700 dark:text-gray-300">
+          Substitutes that work for everyone selected. Swaps that clash with someone else's restriction are crossed out, with the restriction in brackets.
+        </p>
+      </div>
+
+      <div class="space-y-4">
+        {entries.map(entry => (
+          <div key={entry.item} class="border border-gray-200 dark:border-gray-700 rounded-lg p-4 space-y-3">
+            <div>
+              <h4 class="font-bold text-gray-900 dark:text-gray-100">
+                {entry.item}
+                {entry.items.some(item => item !== entry.item) && (
+                  <span class="font-normal text-gray-600 dark:text-gray-400"> ({entry.items.join(', ')})</span>
+                )}
+              </h4>
+              <p class="text-sm text-gray-700 dark:text-gray-300">{entry.guidance}</p>
+            </div>
+
+            <ul class="space-y-1 text-sm">
+              {entry.swaps.map(swap => (
+                <li key={swap.for} class="text-gray-700 dark:text-gray-300">
+                  <span class="font-semibold text-gray-900 dark:text-gray-100">{swap.for}</span>
+                  <i class="fa-solid fa-arrow-right mx-2 text-gray-400"></i>
+                  {swap.safe.length > 0 ? (
+                    <span class="text-green-700 dark:text-green-400">{swap.safe.join(', ')}</span>
+                  ) : (
+                    <span class="italic">No listed substitute works for everyone</span>
+                  )}
+                  {swap.unsafe.map(({ use, conflicts }) => (
+                    <span key={use} class="ml-2 text-gray-500 dark:text-gray-400">
+                      <s>{use}</s> ({conflicts.join(', ')})
+                    </span>
+                  ))}
+                </li>
+              ))}
+            </ul>
+
+            <details class="text-sm">
+              <summary class="cursor-pointer text-gray-700 dark:text-gray-300 font-medium">
+                Hidden sources
+              </summary>
+              <ul class="mt-2 ml-6 list-disc marker:text-green-600 text-gray-700 dark:text-gray-300">
+                {entry.hiddenSources.map(source => <li key={source}>{source}</li>)}
+              </ul>
+            </details>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,171 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import {
+  loadAttendeeGroups,
+  saveAttendeeGroup,
+  deleteAttendeeGroup,
+  replaceAttendeeGroups,
+  mergeAttendeeGroups,
+  exportAttendeeGroups,
+  parseAttendeeGroupsFile,
+  loadMealHistory,
+  clearMealHistory
+} from '../lib/saved-meals.js';
+import { getMealLabel, formatPeopleCount } from '../lib/summary.js';
+import { downloadFile } from '../lib/download.js';
+
+function countPeople(meal) {
+  return meal.attendees.length + meal.guests.length;
+}
+
+function formatSavedDate(isoDate) {
+  return new Date(isoDate).toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' });
+}
+
+const smallButtonClass = "px-3 py-1.5 text-sm bg-gray-200 dark:bg-gray-700 text-gray-800 dark:text-gray-200 font-semibold rounded-lg hover:bg-gray-300 dark:hover:bg-gray-600 disabled:opacity-50 disabled:cursor-not-allowed transition-colors";
+
+// Step 1 shortcuts: load a saved attendee group into the active meal, or
+// reopen a meal generated before. Both are stored in this browser under
+// `scope` (the sheet group's slug), and only for this session when
+// `sessionOnly` is set. `activeMeal` is what "Save" saves.
+export default function SavedMealsPanel({ scope, sessionOnly = false, activeMeal, onLoadGroup, onReopenMeals }) {
+  const [groups, setGroups] = useState([]);
+  const [history, setHistory] = useState([]);
+  const [groupName, setGroupName] = useState("");
+  const [importError, setImportError] = useState("");
+  const store = { scope, sessionOnly };
+
+  // Browser storage only exists in the browser
+  useEffect(() => {
+    setGroups(loadAttendeeGroups(store));
+    setHistory(loadMealHistory(store));
+  }, [scope, sessionOnly]);
+
+  function handleSave(e) {
+    e.preventDefault();
+    if (!groupName.trim()) return;
+    setGroups(saveAttendeeGroup(store, groupName.trim(), activeMeal));
+    setGroupName("");
+  }
+
+  function handleExport() {
+    const filename = scope ? `${scope}-attendee-groups.json` : 'attendee-groups.json';
+    downloadFile(filename, exportAttendeeGroups(groups), 'application/json');
+  }
+
+  async function handleImport(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const imported = parseAttendeeGroupsFile(await file.text());
+      setGroups(replaceAttendeeGroups(store, mergeAttendeeGroups(groups, imported)));
+      setImportError("");
+    } catch (err) {
+      setImportError(err.message);
+    }
+  }
+
+  return (
+    <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500 space-y-6">
+      {/* Attendee Groups */}
+      <div class="space-y-3">
+        <h2 class="text-xl font-bold text-gray-900 dark:text-gray-100">Attendee Groups</h2>
+        {groups.length > 0 ? (
+          <div class="flex flex-wrap gap-2">
+            {groups.map(group => (
+              <span key={group.name} class="inline-flex items-center rounded-lg bg-blue-50 dark:bg-blue-900/30 text-blue-900 dark:text-blue-200 text-sm font-medium">
+                <button
+                  onClick={() => onLoadGroup(group)}
+                  class="px-3 py-1.5 hover:underline"
+                  title={`Add ${group.name} to this meal`}
+                >
+                  <i class="fa-solid fa-users mr-1"></i>
+                  {group.name} ({countPeople(group)})
+                </button>
+                <button
+                  onClick={() => setGroups(deleteAttendeeGroup(store, group.name))}
+                  class="pr-3 py-1.5 opacity-60 hover:opacity-100"
+                  aria-label={`Delete ${group.name}`}
+                >
+                  <i class="fa-solid fa-xmark"></i>
+                </button>
+              </span>
+            ))}
+          </div>
+        ) : (
+          <p class="text-sm text-gray-600 dark:text-gray-400">
+            Save the attendees you pick below as a group to load them again in one click.
+            {sessionOnly && ' Groups and recent meals are kept until you close this tab - export groups to keep them.'}
+          </p>
+        )}
+
+        <form onSubmit={handleSave} class="flex flex-wrap gap-2">
+          <input
+            type="text"
+            value={groupName}
+            onInput={(e) => setGroupName(e.target.value)}
+            placeholder="e.g., Tuesday learning group"
+            aria-label="Group name"
+            class="flex-1 min-w-[200px] px-3 py-1.5 text-sm border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 placeholder-gray-400 dark:placeholder-gray-500 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+          />
+          <button
+            type="submit"
+            disabled={!groupName.trim() || countPeople(activeMeal) === 0}
+            class={smallButtonClass}
+          >
+            Save Current Attendees
+          </button>
+          <button type="button" onClick={handleExport} disabled={groups.length === 0} class={smallButtonClass}>
+            <i class="fa-solid fa-file-export mr-1"></i>
+            Export
+          </button>
+          <label class={`${smallButtonClass} cursor-pointer`}>
+            <i class="fa-solid fa-file-import mr-1"></i>
+            Import
+            <input type="file" accept=".json,application/json" onChange={handleImport} class="hidden" />
+          </label>
+        </form>
+        {importError && (
+          <p class="text-sm text-red-700 dark:text-red-400 font-medium" role="alert">{importError}</p>
+        )}
+      </div>
+
+      {/* Recent Meals */}
+      {history.length > 0 && (
+        <div class="space-y-3">
+          <div class="flex items-center justify-between gap-2">
+            <h2 class="text-xl font-bold text-gray-900 dark:text-gray-100">Recent Meals</h2>
+            <button
+              onClick={() => setHistory(clearMealHistory(store))}
+              class="text-sm text-gray-600 dark:text-gray-400 hover:underline"
+            >
+              Clear
+            </button>
+          </div>
+          <ul class="divide-y divide-gray-200 dark:divide-gray-700">
+            {history.map(entry => (
+              <li key={entry.generatedAt} class="flex flex-wrap items-center justify-between gap-2 py-2">
+                <span class="text-gray-900 dark:text-gray-100">
+                  {entry.meals.length > 1
+                    ? entry.meals.map(getMealLabel).join(', ')
+                    : entry.meals[0].name || 'Untitled meal'}
+                  <span class="ml-2 text-sm text-gray-500 dark:text-gray-400">
+                    {formatSavedDate(entry.generatedAt)} · {entry.meals.length > 1
+                      ? `${entry.meals.map(countPeople).join(' / ')} people`
+                      : formatPeopleCount(countPeople(entry.meals[0]))}
+                  </span>
+                </span>
+                <button onClick={() => onReopenMeals(entry.meals)} class={smallButtonClass}>
+                  <i class="fa-solid fa-rotate-left mr-1"></i>
+                  Reopen
+                </button>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+    </div>
+  );
+}
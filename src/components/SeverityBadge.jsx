@@ -0,0 +1,17 @@
+import { h } from 'preact';
+import { getSeverityLevel } from '../lib/severity.js';
+
+// Small colored pill with the severity icon and label
+export default function SeverityBadge({ severity, notes, item, compact = false }) {
+  const level = getSeverityLevel(severity, notes, item);
+
+  return (
+    <span
+      class={`inline-flex items-center gap-1 px-2 py-0.5 rounded text-xs font-medium whitespace-nowrap ${level.badgeClass}`}
+      title={level.description}
+    >
+      <i class={`fa-solid ${level.icon}`}></i>
+      {!compact && level.label}
+    </span>
+  );
+}
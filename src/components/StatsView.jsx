@@ -0,0 +1,186 @@
+import { h } from 'preact';
+import { SEVERITY_LEVELS } from '../lib/severity.js';
+import { formatPeopleCount } from '../lib/summary.js';
+import { getRestrictionSlug } from '../lib/restrictions.js';
+import { buildCommunityStats, formatShare } from '../lib/stats.js';
+import { withDataset } from './UnlockGate.jsx';
+
+// One horizontal bar split into `segments` ({ value, className, label }),
+// drawn `total` wide so bars in the same chart share a scale
+function StackedBar({ segments, total, label }) {
+  let x = 0;
+  return (
+    <svg
+      viewBox="0 0 100 4"
+      preserveAspectRatio="none"
+      role="img"
+      aria-label={label}
+      class="w-full h-4 rounded bg-gray-100 dark:bg-gray-700"
+    >
+      {total > 0 && segments.filter(segment => segment.value > 0).map(segment => {
+        const width = (segment.value / total) * 100;
+        const rect = (
+          <rect key={segment.label} x={x} y="0" width={width} height="4" class={segment.className}>
+            <title>{segment.label}: {segment.value}</title>
+          </rect>
+        );
+        x += width;
+        return rect;
+      })}
+    </svg>
+  );
+}
+
+function Legend({ entries, total }) {
+  return (
+    <ul class="flex flex-wrap gap-x-4 gap-y-1 mt-2 text-sm text-gray-700 dark:text-gray-300">
+      {entries.map(entry => (
+        <li key={entry.label} class="flex items-center gap-1.5">
+          <svg viewBox="0 0 10 10" class="w-3 h-3" aria-hidden="true">
+            <rect width="10" height="10" rx="2" class={entry.className} />
+          </svg>
+          {entry.label}: {entry.value} ({formatShare(entry.value, total)})
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+function StatCard({ label, value }) {
+  return (
+    <div class="bg-gray-50 dark:bg-gray-700 rounded-lg px-4 py-3">
+      <div class="text-2xl font-bold text-gray-900 dark:text-gray-100">{value}</div>
+      <div class="text-sm text-gray-600 dark:text-gray-400">{label}</div>
+    </div>
+  );
+}
+
+function Section({ title, description, children }) {
+  return (
+    <section class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500">
+      <h3 class="text-xl font-bold text-gray-900 dark:text-gray-100">{title}</h3>
+      {description && <p class="text-sm text-gray-600 dark:text-gray-400 mb-4">{description}</p>}
+      {children}
+    </section>
+  );
+}
+
+function severitySegments(counts) {
+  return SEVERITY_LEVELS.map(level => ({
+    label: level.label,
+    value: counts[level.id],
+    className: level.chartClass
+  }));
+}
+
+// /stats: how common and how severe each restriction is across the whole
+// directory, for picking default menus and staples to keep in stock
+function StatsView({ data, basePath = '' }) {
+  if (!data || !data.members || data.members.length === 0) {
+    return (
+      <div class="bg-yellow-50 dark:bg-yellow-900/20 border border-yellow-200 dark:border-yellow-800 rounded-lg p-6">
+        <p class="text-yellow-800 dark:text-yellow-200">
+          No dietary restrictions data available. Please configure Google Sheets and run the sync script.
+        </p>
+      </div>
+    );
+  }
+
+  const stats = buildCommunityStats(data);
+  const maxItemCount = stats.items.length > 0 ? stats.items[0].count : 0;
+  const severityTotal = SEVERITY_LEVELS.reduce((sum, level) => sum + stats.severities[level.id], 0);
+  const severityEntries = severitySegments(stats.severities);
+  const memberEntries = [
+    { label: 'Approved', value: stats.approvedCount, className: 'fill-green-500' },
+    { label: 'Pending', value: stats.pendingCount, className: 'fill-amber-400' }
+  ];
+
+  return (
+    <div class="space-y-6">
+      <div class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500">
+        <h2 class="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-2">
+          Community Stats
+        </h2>
+        <p class="text-gray-700 dark:text-gray-300 mb-4">
+          Restriction figures count approved members only.
+        </p>
+        <div class="grid grid-cols-2 sm:grid-cols-4 gap-3">
+          <StatCard label="Members" value={stats.memberCount} />
+          <StatCard label="Approved" value={stats.approvedCount} />
+          <StatCard label="Pending approval" value={stats.pendingCount} />
+          <StatCard label="No restrictions" value={stats.unrestrictedCount} />
+        </div>
+      </div>
+
+      <Section title="Approved vs Pending">
+        <StackedBar segments={memberEntries} total={stats.memberCount} label="Approved and pending members" />
+        <Legend entries={memberEntries} total={stats.memberCount} />
+      </Section>
+
+      <Section
+        title="Severity"
+        description="Every restriction listed, by how severe it is."
+      >
+        <StackedBar segments={severityEntries} total={severityTotal} label="Restrictions by severity" />
+        <Legend entries={severityEntries} total={severityTotal} />
+      </Section>
+
+      <Section
+        title="Most Common Restrictions"
+        description="How many members listed each item, colored by severity."
+      >
+        {stats.items.length > 0 ? (
+          <ul class="space-y-2">
+            {stats.items.map(({ item, count, bySeverity }) => (
+              <li key={item} class="grid grid-cols-[minmax(0,10rem)_1fr_auto] items-center gap-3">
+                <a
+                  href={`${basePath}/by-restriction/${getRestrictionSlug(item)}`}
+                  class="text-sm font-medium text-gray-900 dark:text-gray-100 truncate hover:underline"
+                  title={item}
+                >
+                  {item}
+                </a>
+                <StackedBar segments={severitySegments(bySeverity)} total={maxItemCount} label={`${item}: ${formatPeopleCount(count)}`} />
+                <span class="text-sm text-gray-600 dark:text-gray-400 whitespace-nowrap">
+                  {count} ({formatShare(count, stats.approvedCount)})
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p class="text-gray-700 dark:text-gray-300 italic">Nobody has listed a restriction yet.</p>
+        )}
+        {stats.items.length > 0 && <Legend entries={severitySegments(stats.severities)} total={severityTotal} />}
+      </Section>
+
+      <Section
+        title="Often Together"
+        description="Pairs of restrictions the same member has, most common first."
+      >
+        {stats.combinations.length > 0 ? (
+          <ul class="space-y-2">
+            {stats.combinations.map(({ items, count }) => (
+              <li key={items.join()} class="grid grid-cols-[minmax(0,14rem)_1fr_auto] items-center gap-3">
+                <span class="text-sm font-medium text-gray-900 dark:text-gray-100">
+                  {items.join(' + ')}
+                </span>
+                <StackedBar
+                  segments={[{ label: items.join(' + '), value: count, className: 'fill-blue-500' }]}
+                  total={stats.combinations[0].count}
+                  label={`${items.join(' + ')}: ${formatPeopleCount(count)}`}
+                />
+                <span class="text-sm text-gray-600 dark:text-gray-400 whitespace-nowrap">
+                  {formatPeopleCount(count)}
+                </span>
+              </li>
+            ))}
+          </ul>
+        ) : (
+          <p class="text-gray-700 dark:text-gray-300 italic">No member has more than one restriction.</p>
+        )}
+      </Section>
+    </div>
+  );
+}
+
+export default withDataset(StatsView);
@@ -0,0 +1,208 @@
+import { h } from 'preact';
+import SeverityBadge from './SeverityBadge.jsx';
+import RecentChangeBadge from './RecentChangeBadge.jsx';
+import RestrictionMatrix from './RestrictionMatrix.jsx';
+import { SEVERITY_LEVELS, normalizeSeverity } from '../lib/severity.js';
+import { isNoneItem, formatPeopleCount } from '../lib/summary.js';
+
+// Regroup summary.other by severity: [[level, [[item, people], ...]], ...]
+function groupOtherBySeverity(other) {
+  return SEVERITY_LEVELS
+    .map(level => [
+      level,
+      other
+        .filter(([item]) => !isNoneItem(item))
+        .map(([item, people]) => [
+          item,
+          people.filter(p => normalizeSeverity(p.severity, p.notes, item) === level.id)
+        ])
+        .filter(([, people]) => people.length > 0)
+    ])
+    .filter(([, items]) => items.length > 0);
+}
+
+// One item in the "By item" view, with more specific items nested under it
+function RestrictionTreeItem({ node }) {
+  return (
+    <div>
+      <h4 class="font-bold text-gray-900 dark:text-gray-100 mb-2">
+        {node.item}
+        {node.children.length > 0 && (
+          <span class="font-normal text-gray-600 dark:text-gray-400"> ({formatPeopleCount(node.peopleCount)})</span>
+        )}
+      </h4>
+      {node.people.length > 0 && (
+        <ul class="ml-6 space-y-1 list-disc marker:text-blue-600">
+          {node.people.map(p => (
+            <li key={p.name} class="text-gray-700 dark:text-gray-300">
+              {p.name}{' '}
+              {!isNoneItem(node.item) && <SeverityBadge severity={p.severity} notes={p.notes} item={node.item} />}{' '}
+              <RecentChangeBadge date={p.changedAt} />
+            </li>
+          ))}
+        </ul>
+      )}
+      {node.children.length > 0 && (
+        <div class="mt-3 ml-2 pl-4 border-l-2 border-gray-200 dark:border-gray-700 space-y-3">
+          {node.children.map(child => (
+            <RestrictionTreeItem key={child.item} node={child} />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
+
+// Body of a meal summary (from buildSummary): attendees, airborne allergies,
+// other restrictions by item, by severity or as a grid, and restrictions
+// by person
+export default function SummaryDetails({ summary, otherGrouping, onOtherGroupingChange }) {
+  return (
+    <div class="space-y-6">
+      {/* Attendees */}
+      <div>
+        <h3 class="text-lg font-semibold text-gray-900 dark:text-gray-100 mb-2">
+          Attendees: {summary.attendees.length}
+        </h3>
+        <p class="text-gray-700 dark:text-gray-300">
+          {summary.attendees.join(', ')}
+        </p>
+      </div>
+
+      {/* Airborne Allergies */}
+      {summary.airborne.length > 0 && (
+        <div class="bg-red-50 dark:bg-red-950 border-2 border-red-500 dark:border-red-600 rounded-lg p-6">
+          <h3 class="text-xl font-bold text-red-700 dark:text-red-400 mb-4 flex items-center gap-2">
+            <i class="fa-solid fa-triangle-exclamation"></i>
+            AIRBORNE ALLERGIES
+          </h3>
+          <div class="space-y-4">
+            {summary.airborne.map(([item, people]) => (
+              <div key={item}>
+                <h4 class="font-bold text-red-800 dark:text-red-300 mb-2 text-lg">{item}</h4>
+                <ul class="ml-6 space-y-1 list-disc marker:text-red-600">
+                  {people.map(p => (
+                    <li key={p.name} class="text-red-900 dark:text-red-200">
+                      {p.name} <RecentChangeBadge date={p.changedAt} />
+                    </li>
+                  ))}
+                </ul>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Other Dietary Restrictions */}
+      {summary.other.length > 0 && (
+        <div>
+          <div class="flex flex-wrap justify-between items-end gap-2 mb-4 pb-2 border-b-2 border-gray-300 dark:border-gray-600">
+            <h3 class="text-2xl font-bold text-gray-900 dark:text-gray-100">
+              Dietary Restrictions
+            </h3>
+            <div class="flex text-sm rounded-lg border border-gray-300 dark:border-gray-600 overflow-hidden" role="group" aria-label="Group restrictions by">
+              {[['item', 'By item'], ['severity', 'By severity'], ['matrix', 'Grid']].map(([value, label]) => (
+                <button
+                  key={value}
+                  onClick={() => onOtherGroupingChange(value)}
+                  aria-pressed={otherGrouping === value}
+                  class={`px-3 py-1 transition-colors ${
+                    otherGrouping === value
+                      ? 'bg-blue-600 text-white'
+                      : 'text-gray-700 dark:text-gray-300 hover:bg-gray-100 dark:hover:bg-gray-700'
+                  }`}
+                >
+                  {label}
+                </button>
+              ))}
+            </div>
+          </div>
+
+          {otherGrouping === 'matrix' ? (
+            <RestrictionMatrix summary={summary} />
+          ) : otherGrouping === 'item' ? (
+            <div class="space-y-4">
+              {summary.otherTree.map(node => (
+                <RestrictionTreeItem key={node.item} node={node} />
+              ))}
+            </div>
+          ) : (
+            <div class="space-y-6">
+              {groupOtherBySeverity(summary.other).map(([level, items]) => (
+                <div key={level.id}>
+                  <h4 class={`text-lg font-bold mb-2 flex items-center gap-2 ${level.headingClass}`}>
+                    <i class={`fa-solid ${level.icon}`}></i>
+                    {level.label}
+                  </h4>
+                  <div class="space-y-3 ml-2">
+                    {items.map(([item, people]) => (
+                      <div key={item}>
+                        <h5 class="font-semibold text-gray-900 dark:text-gray-100">{item}</h5>
+                        <p class="text-gray-700 dark:text-gray-300">
+                          {people.map((p, index) => (
+                            <span key={p.name} class="inline-flex items-center gap-1 mr-1">
+                              {p.name}
+                              <RecentChangeBadge date={p.changedAt} compact />
+                              {index < people.length - 1 && ', '}
+                            </span>
+                          ))}
+                        </p>
+                      </div>
+                    ))}
+                  </div>
+                </div>
+              ))}
+              {summary.other.filter(([item]) => isNoneItem(item)).map(([item, people]) => (
+                <div key={item}>
+                  <h4 class="text-lg font-bold mb-2 text-gray-900 dark:text-gray-100">No restrictions</h4>
+                  <p class="text-gray-700 dark:text-gray-300 ml-2">
+                    {people.map(p => p.name).join(', ')}
+                  </p>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      {/* Restrictions by Person */}
+      <div>
+        <h3 class="text-2xl font-bold text-gray-900 dark:text-gray-100 mb-4 pb-2 border-b-2 border-gray-300 dark:border-gray-600">
+          Restrictions by Person
+        </h3>
+        <ul class="ml-6 space-y-2 list-disc marker:text-blue-600">
+          {summary.byPerson.map(person => {
+            // Check if person only has "None" or no restrictions
+            const hasOnlyNone = person.restrictions.length === 1 &&
+                                person.restrictions[0].item.toLowerCase() === 'none';
+            const hasNoRestrictions = person.restrictions.length === 0;
+
+            return (
+              <li key={person.name} class="text-gray-900 dark:text-gray-100">
+                <span class="font-medium">{person.name}</span>
+                {person.guest && (
+                  <span class="ml-1 text-sm text-gray-500 dark:text-gray-400">(guest)</span>
+                )}
+                <span class="font-medium">:</span>{' '}
+                {hasOnlyNone || hasNoRestrictions ? (
+                  <span class="text-gray-700 dark:text-gray-300 italic">None</span>
+                ) : (
+                  <span class="text-gray-700 dark:text-gray-300">
+                    {person.restrictions.map((r, index) => (
+                      <span key={r.item} class="inline-flex items-center gap-1 mr-1">
+                        {r.item}
+                        {!isNoneItem(r.item) && <SeverityBadge severity={r.severity} notes={r.notes} item={r.item} compact />}
+                        <RecentChangeBadge date={r.changedAt} compact />
+                        {index < person.restrictions.length - 1 && ', '}
+                      </span>
+                    ))}
+                  </span>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      </div>
+    </div>
+  );
+}
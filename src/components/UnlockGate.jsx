@@ -0,0 +1,118 @@
+import { h } from 'preact';
+import { useState, useEffect } from 'preact/hooks';
+import {
+  isEncryptedDataset,
+  deriveKey,
+  decryptDataset,
+  exportKey,
+  importKey
+} from '../lib/dataset-crypto.js';
+
+// The salt changes every build, so a new deploy asks for the passphrase again
+function getStorageKey(payload) {
+  return `dataset-key:${payload.salt}`;
+}
+
+// Decrypt with the key remembered for this browser session, if any
+async function unlockFromSession(payload) {
+  const stored = sessionStorage.getItem(getStorageKey(payload));
+  if (!stored) return null;
+
+  try {
+    return await decryptDataset(payload, await importKey(stored));
+  } catch {
+    sessionStorage.removeItem(getStorageKey(payload));
+    return null;
+  }
+}
+
+export default function UnlockGate({ payload, onUnlock }) {
+  const [passphrase, setPassphrase] = useState("");
+  const [unlocking, setUnlocking] = useState(false);
+  const [error, setError] = useState("");
+
+  async function handleSubmit(e) {
+    e.preventDefault();
+    if (!passphrase) return;
+
+    setUnlocking(true);
+    setError("");
+    try {
+      const key = await deriveKey(passphrase, payload);
+      const data = await decryptDataset(payload, key);
+      sessionStorage.setItem(getStorageKey(payload), await exportKey(key));
+      onUnlock(data);
+    } catch {
+      setError("That passphrase didn't work. Check with the organizer.");
+      setUnlocking(false);
+    }
+  }
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      class="bg-white dark:bg-gray-800 rounded-lg p-6 shadow-sm border-l-4 border-blue-500 space-y-4 max-w-xl"
+    >
+      <h2 class="text-2xl font-bold text-gray-900 dark:text-gray-100 flex items-center gap-2">
+        <i class="fa-solid fa-lock"></i>
+        Enter Passphrase
+      </h2>
+      <p class="text-gray-700 dark:text-gray-300">
+        This dashboard contains private dietary and medical information. Enter the passphrase from your organizer to view it.
+      </p>
+      <div>
+        <label htmlFor="dataset-passphrase" class="block text-sm font-semibold text-gray-700 dark:text-gray-300 mb-2">
+          Passphrase
+        </label>
+        <input
+          type="password"
+          id="dataset-passphrase"
+          value={passphrase}
+          onInput={(e) => setPassphrase(e.target.value)}
+          autoComplete="current-password"
+          class="block w-full px-4 py-2 border border-gray-300 dark:border-gray-600 rounded-lg bg-white dark:bg-gray-700 text-gray-900 dark:text-gray-100 focus:ring-2 focus:ring-blue-500 focus:border-transparent"
+        />
+      </div>
+      {error && (
+        <p class="text-red-700 dark:text-red-400 font-medium" role="alert">{error}</p>
+      )}
+      <button
+        type="submit"
+        disabled={!passphrase || unlocking}
+        class="px-6 py-2 bg-blue-600 text-white font-semibold rounded-lg shadow-md hover:bg-blue-700 focus:outline-none focus:ring-2 focus:ring-blue-500 focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+      >
+        {unlocking ? 'Unlocking...' : 'Unlock'}
+      </button>
+    </form>
+  );
+}
+
+// Wrap a component that takes a `data` prop so it also accepts the encrypted
+// payload from a passphrase-protected build, showing UnlockGate until the
+// data is decrypted. Plain data is passed straight through.
+export function withDataset(Component) {
+  function WithDataset(props) {
+    const encrypted = isEncryptedDataset(props.data);
+    const [data, setData] = useState(encrypted ? null : props.data);
+    const [checkingSession, setCheckingSession] = useState(encrypted);
+
+    useEffect(() => {
+      if (!encrypted) return;
+      unlockFromSession(props.data).then(sessionData => {
+        if (sessionData) setData(sessionData);
+        setCheckingSession(false);
+      });
+    }, []);
+
+    if (data) {
+      return <Component {...props} data={data} />;
+    }
+    if (checkingSession) {
+      return null;
+    }
+    return <UnlockGate payload={props.data} onUnlock={setData} />;
+  }
+
+  WithDataset.displayName = `withDataset(${Component.name})`;
+  return WithDataset;
+}
@@ -0,0 +1,116 @@
+// iCalendar (.ics) export, so hosts can add a meal to their calendar with
+// the dietary summary in the event description. Each meal with a date
+// becomes one event.
+
+import { formatSummaryAsText } from './summary.js';
+
+// Meals with a start time but no end are this long
+export const DEFAULT_MEAL_MINUTES = 120;
+
+const PRODUCT_ID = '-//Dietary Dashboard//Meal Summary//EN';
+
+// Text values escape backslashes, semicolons, commas and newlines (RFC 5545)
+function escapeText(value) {
+  return String(value)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space.
+// Splits by character so multi-byte characters aren't cut in half.
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let current = '';
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (encoder.encode(current + char).length > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+  parts.push(current);
+  return parts.join('\r\n ');
+}
+
+// 20261019T180000Z
+function formatUtc(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// "2026-10-19" -> "20261019"
+function formatDate(isoDate) {
+  return isoDate.replace(/-/g, '');
+}
+
+function nextDay(isoDate) {
+  const date = new Date(`${isoDate}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + 1);
+  return date.toISOString().slice(0, 10);
+}
+
+// DTSTART/DTEND lines. Meals with a time are converted from the host's time
+// zone to UTC; meals without one are all-day events.
+function formatEventTimes(meal) {
+  if (!meal.time) {
+    return [
+      `DTSTART;VALUE=DATE:${formatDate(meal.date)}`,
+      `DTEND;VALUE=DATE:${formatDate(nextDay(meal.date))}`
+    ];
+  }
+
+  const start = new Date(`${meal.date}T${meal.time}`);
+  const end = new Date(start.getTime() + DEFAULT_MEAL_MINUTES * 60 * 1000);
+  return [`DTSTART:${formatUtc(start)}`, `DTEND:${formatUtc(end)}`];
+}
+
+export function hasCalendarDate(meal) {
+  return Boolean(meal.date);
+}
+
+// The same on every download, so importing an updated summary replaces the
+// event rather than adding a second one: "20261019-friday-dinner", or the
+// meal's place in the event when it has no name ("20261019-meal-2")
+function getEventUid(meal, summary, position) {
+  const slug = (summary.mealName || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+  return `${formatDate(meal.date)}-${slug || `meal-${position + 1}`}@dietary-dashboard`;
+}
+
+// Calendar file for `entries` ([{ meal, summary }]), linking each event back
+// to `shareUrl`. Meals without a date are left out.
+export function buildCalendar(entries, shareUrl, now = new Date()) {
+  const stamp = formatUtc(now);
+  const events = entries
+    .map((entry, position) => ({ ...entry, position }))
+    .filter(({ meal }) => hasCalendarDate(meal))
+    .flatMap(({ meal, summary, position }) => {
+      const description = `${formatSummaryAsText(summary)}\nFull summary: ${shareUrl}\n`;
+      return [
+        'BEGIN:VEVENT',
+        `UID:${getEventUid(meal, summary, position)}`,
+        `DTSTAMP:${stamp}`,
+        ...formatEventTimes(meal),
+        `SUMMARY:${escapeText(summary.mealName || 'Meal')}`,
+        ...(meal.location ? [`LOCATION:${escapeText(meal.location)}`] : []),
+        `DESCRIPTION:${escapeText(description)}`,
+        `URL:${shareUrl}`,
+        'END:VEVENT'
+      ];
+    });
+
+  return [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODUCT_ID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    ...events,
+    'END:VCALENDAR'
+  ].map(foldLine).join('\r\n') + '\r\n';
+}
@@ -0,0 +1,146 @@
+// Headcounts for ordering from a caterer: "23 regular, 4 vegetarian,
+// 1 nut-free (sealed)". Built from a meal summary's byPerson list, without
+// names, so the order sheet can go straight to the caterer.
+
+import { normalizeSeverity } from './severity.js';
+import { getAncestors, isSameItem } from './taxonomy.js';
+import { isNoneItem, formatPersonName, formatPeopleCount } from './summary.js';
+import { isDietItem } from './restrictions.js';
+
+// Severities a caterer only handles with a separately packed meal
+const SEALED_SEVERITIES = ['airborne', 'anaphylactic', 'cross-contamination'];
+
+// What one person needs from their meal: the items to leave out (a diet
+// counts as one) and whether it has to come sealed. "Small amounts" people
+// can have the regular meal.
+function getRequirement(person) {
+  const restrictions = person.restrictions
+    .filter(r => !isNoneItem(r.item))
+    .map(r => ({ item: r.item, severity: normalizeSeverity(r.severity, r.notes, r.item) }))
+    .filter(r => r.severity !== 'small amounts');
+
+  const items = [];
+  restrictions.forEach(r => {
+    if (!items.some(item => isSameItem(item, r.item))) {
+      items.push(r.item);
+    }
+  });
+
+  return {
+    items: items.sort((a, b) => a.localeCompare(b)),
+    sealed: restrictions.some(r => SEALED_SEVERITIES.includes(r.severity))
+  };
+}
+
+function isSameOrAncestor(general, specific) {
+  return isSameItem(general, specific) ||
+         getAncestors(specific).some(ancestor => isSameItem(ancestor, general));
+}
+
+// Whether a `general` variant feeds everyone who needs `specific` without
+// leaving out anything extra: each item in one matches an item (or a
+// broader one) in the other. "Nut-free" covers "almond-free", but
+// "gluten-free, nut-free" doesn't replace plain "nut-free".
+function variantCovers(general, specific) {
+  return general.sealed === specific.sealed &&
+         specific.items.every(item => general.items.some(g => isSameOrAncestor(g, item))) &&
+         general.items.every(g => specific.items.some(item => isSameOrAncestor(g, item)));
+}
+
+// Diets keep their name on the order sheet; everything else becomes "X-free"
+function formatItemLabel(item) {
+  if (isDietItem(item)) return item.toLowerCase();
+  // "Nuts" -> "nut-free", "Shellfish" -> "shellfish-free"
+  return `${item.trim().toLowerCase().replace(/(?<!s)s$/, '')}-free`;
+}
+
+function formatVariantLabel({ items, sealed }) {
+  // Diets read first: "vegan, nut-free"
+  const ordered = [...items.filter(isDietItem), ...items.filter(item => !isDietItem(item))];
+  const label = ordered.map(formatItemLabel).join(', ');
+  return sealed ? `${label} (sealed)` : label;
+}
+
+// The fewest meal variants that cover every attendee, largest first:
+// { total, regularCount, airborne, variants: [{ label, items, sealed, people, count }] }
+// `people` are names, for the host's own check - the order sheet leaves
+// them out. `airborne` lists items that can't be in any meal, regular
+// ones included, since they affect someone just by being in the room.
+export function buildCateringReport(summary) {
+  const variants = [];
+  let regularCount = 0;
+
+  summary.byPerson.forEach(person => {
+    const requirement = getRequirement(person);
+    if (requirement.items.length === 0) {
+      regularCount++;
+      return;
+    }
+
+    let variant = variants.find(v => variantCovers(v, requirement) && variantCovers(requirement, v));
+    if (!variant) {
+      variant = { ...requirement, people: [] };
+      variants.push(variant);
+    }
+    variant.people.push(formatPersonName(person));
+  });
+
+  // Fold specific variants into the broadest one someone already needs
+  const isBroadest = (variant) => !variants.some(other => other !== variant && variantCovers(other, variant));
+  const kept = variants.filter(isBroadest);
+  variants.filter(variant => !isBroadest(variant)).forEach(variant => {
+    kept.find(other => variantCovers(other, variant)).people.push(...variant.people);
+  });
+
+  return {
+    total: summary.byPerson.length,
+    regularCount,
+    airborne: summary.airborne.map(([item]) => item).filter(item => !isNoneItem(item)),
+    variants: kept
+      .map(variant => ({ ...variant, label: formatVariantLabel(variant), count: variant.people.length }))
+      .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label))
+  };
+}
+
+// "No nuts in any meal" - caterers read "regular" as "anything goes"
+export function formatAirborneLine(item) {
+  return `No ${item.toLowerCase()} in any meal (airborne allergy)`;
+}
+
+function formatReportLines(report) {
+  let text = '';
+  report.airborne.forEach(item => {
+    text += `  ${formatAirborneLine(item)}\n`;
+  });
+  if (report.regularCount > 0) {
+    text += `  ${report.regularCount} x regular\n`;
+  }
+  report.variants.forEach(variant => {
+    text += `  ${variant.count} x ${variant.label}\n`;
+  });
+  return text;
+}
+
+const SEALED_NOTE = 'Sealed meals must be packed and labelled separately - these guests have severe allergies.\n';
+
+// Plain-text order sheet for one meal's summary, or each meal of an event
+// (counts only, no names)
+export function formatCateringAsText(summaries) {
+  let text = 'Catering Order\n\n';
+  const reports = summaries.map(buildCateringReport);
+
+  summaries.forEach((summary, index) => {
+    const report = reports[index];
+    text += summary.mealName
+      ? `${summary.mealName} - ${formatPeopleCount(report.total)}\n`
+      : `${formatPeopleCount(report.total)}\n`;
+    text += formatReportLines(report);
+    text += '\n';
+  });
+
+  if (reports.some(report => report.variants.some(variant => variant.sealed))) {
+    text += SEALED_NOTE;
+  }
+
+  return text;
+}
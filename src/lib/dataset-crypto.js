@@ -0,0 +1,86 @@
+// Passphrase encryption for the dataset. The build encrypts it
+// (src/lib/protected-dataset.js) and the browser decrypts it
+// (src/components/UnlockGate.jsx), both through WebCrypto: PBKDF2-SHA256
+// derives an AES-GCM key from the passphrase. The encrypted payload carries
+// everything needed to decrypt except the passphrase.
+//
+// Every function takes the WebCrypto implementation as its last argument so
+// the build can pass node:crypto's (Node 18 has no global `crypto`).
+
+export const PBKDF2_ITERATIONS = 250000;
+
+function toBase64(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary);
+}
+
+function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+export function isEncryptedDataset(data) {
+  return Boolean(data && data.encrypted);
+}
+
+// New key derivation parameters, { salt, iterations }
+export function createKeyParams(crypto = globalThis.crypto) {
+  return {
+    salt: toBase64(crypto.getRandomValues(new Uint8Array(16))),
+    iterations: PBKDF2_ITERATIONS
+  };
+}
+
+// `params` is { salt, iterations } - an encrypted payload works too
+export async function deriveKey(passphrase, params, crypto = globalThis.crypto) {
+  const material = await crypto.subtle.importKey(
+    'raw',
+    new TextEncoder().encode(passphrase),
+    'PBKDF2',
+    false,
+    ['deriveKey']
+  );
+
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt: fromBase64(params.salt), iterations: params.iterations, hash: 'SHA-256' },
+    material,
+    { name: 'AES-GCM', length: 256 },
+    true, // extractable, so the browser can keep it for the session
+    ['encrypt', 'decrypt']
+  );
+}
+
+export async function encryptDataset(data, key, params, crypto = globalThis.crypto) {
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const ciphertext = await crypto.subtle.encrypt(
+    { name: 'AES-GCM', iv },
+    key,
+    new TextEncoder().encode(JSON.stringify(data))
+  );
+
+  return {
+    encrypted: true,
+    salt: params.salt,
+    iterations: params.iterations,
+    iv: toBase64(iv),
+    ciphertext: toBase64(new Uint8Array(ciphertext))
+  };
+}
+
+// Rejects if the key is wrong (AES-GCM authenticates the ciphertext)
+export async function decryptDataset(payload, key, crypto = globalThis.crypto) {
+  const plaintext = await crypto.subtle.decrypt(
+    { name: 'AES-GCM', iv: fromBase64(payload.iv) },
+    key,
+    fromBase64(payload.ciphertext)
+  );
+  return JSON.parse(new TextDecoder().decode(plaintext));
+}
+
+export async function exportKey(key, crypto = globalThis.crypto) {
+  return toBase64(new Uint8Array(await crypto.subtle.exportKey('raw', key)));
+}
+
+export async function importKey(exported, crypto = globalThis.crypto) {
+  return crypto.subtle.importKey('raw', fromBase64(exported), 'AES-GCM', true, ['encrypt', 'decrypt']);
+}
@@ -0,0 +1,109 @@
+// Filters and sort order for the By Person directory, and their query
+// string so a filtered directory can be shared:
+//   ?q=cohen&item=Dairy&item=Nuts&severity=airborne&none=1&household=Cohen&sort=restrictions
+// Values within a facet are alternatives (Dairy or Nuts); different facets
+// all have to match.
+
+import { SEVERITY_LEVELS, normalizeSeverity } from './severity.js';
+import { isIngredientItem } from './restrictions.js';
+
+export const DIRECTORY_SORTS = [
+  { id: 'name', label: 'Name' },
+  { id: 'restrictions', label: 'Most restrictions' }
+];
+
+export function createDirectoryFilters(fields = {}) {
+  return {
+    query: '',
+    items: [],
+    severities: [],
+    noRestrictions: false,
+    household: '',
+    sort: 'name',
+    ...fields
+  };
+}
+
+export function hasActiveFilters(filters) {
+  return Boolean(filters.query.trim()) ||
+         filters.items.length > 0 ||
+         filters.severities.length > 0 ||
+         filters.noRestrictions ||
+         Boolean(filters.household);
+}
+
+// A member's restrictions as the directory shows them - without the
+// "Attending?" row or a "None" entry
+export function getDirectoryRestrictions(member) {
+  return member.restrictions.filter(r =>
+    !r.item.toLowerCase().includes('attending') && isIngredientItem(r.item)
+  );
+}
+
+function matchesFilters(member, filters) {
+  const restrictions = getDirectoryRestrictions(member);
+
+  const query = filters.query.trim().toLowerCase();
+  if (query && !member.name.toLowerCase().includes(query) &&
+      !restrictions.some(r => r.item.toLowerCase().includes(query))) {
+    return false;
+  }
+
+  if (filters.household && (member.household || '').toLowerCase() !== filters.household.toLowerCase()) {
+    return false;
+  }
+
+  if (filters.noRestrictions && restrictions.length > 0) {
+    return false;
+  }
+
+  // Severity applies to the chosen items when both are set: "airborne" plus
+  // "Nuts" finds airborne nut allergies
+  if (filters.items.length > 0 || filters.severities.length > 0) {
+    return restrictions.some(r =>
+      (filters.items.length === 0 || filters.items.includes(r.item)) &&
+      (filters.severities.length === 0 || filters.severities.includes(normalizeSeverity(r.severity, r.notes, r.item)))
+    );
+  }
+
+  return true;
+}
+
+// Approved members matching `filters`, in its sort order
+export function filterDirectory(members, filters) {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const compare = filters.sort === 'restrictions'
+    ? (a, b) => getDirectoryRestrictions(b).length - getDirectoryRestrictions(a).length || byName(a, b)
+    : byName;
+
+  return members
+    .filter(member => member.approved && matchesFilters(member, filters))
+    .sort(compare);
+}
+
+export function buildDirectoryParams(filters) {
+  const params = new URLSearchParams();
+  if (filters.query.trim()) params.set('q', filters.query.trim());
+  filters.items.forEach(item => params.append('item', item));
+  filters.severities.forEach(severity => params.append('severity', severity));
+  if (filters.noRestrictions) params.set('none', '1');
+  if (filters.household) params.set('household', filters.household);
+  if (filters.sort !== 'name') params.set('sort', filters.sort);
+  return params;
+}
+
+// Unknown severities and sort orders in a hand-edited link are ignored
+export function parseDirectoryParams(search) {
+  const params = new URLSearchParams(search);
+  const severities = SEVERITY_LEVELS.map(level => level.id);
+  const sort = params.get('sort');
+
+  return createDirectoryFilters({
+    query: params.get('q') || '',
+    items: params.getAll('item'),
+    severities: params.getAll('severity').filter(severity => severities.includes(severity)),
+    noRestrictions: params.get('none') === '1',
+    household: params.get('household') || '',
+    sort: DIRECTORY_SORTS.some(option => option.id === sort) ? sort : 'name'
+  });
+}
@@ -0,0 +1,28 @@
+// Save generated text as a file from the browser
+export function downloadFile(filename, text, type = 'text/plain') {
+  const blob = new Blob([text], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  link.click();
+  URL.revokeObjectURL(url);
+}
+
+// Open an HTML document in the browser's print dialog (where "Save as PDF"
+// lives) without leaving the page. A hidden frame avoids popup blockers.
+export function printHtml(html) {
+  const frame = document.createElement('iframe');
+  frame.style.position = 'fixed';
+  frame.style.width = '0';
+  frame.style.height = '0';
+  frame.style.border = '0';
+  frame.onload = () => {
+    frame.contentWindow.focus();
+    frame.contentWindow.print();
+    // Printing blocks until the dialog closes in most browsers, but not all
+    setTimeout(() => frame.remove(), 60000);
+  };
+  frame.srcdoc = html;
+  document.body.appendChild(frame);
+}
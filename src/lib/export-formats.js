@@ -0,0 +1,291 @@
+// Export formats for step 2's copy and download buttons. Each format turns
+// `summaries` (one meal's summary, or every meal of an event) into a file.
+// Airborne allergies always come first and stand out from the rest.
+//
+// To add a format, add an entry to EXPORT_FORMATS:
+//   id         - stable id (kept in the format picker)
+//   label      - shown in the format picker
+//   extension  - file extension for downloads
+//   mimeType   - download type
+//   format     - (summaries) => string
+//   print      - optional; open the output (HTML) in the print dialog instead
+//                of downloading it
+
+import { formatSeverity, getSeverityLevel, normalizeSeverity } from './severity.js';
+import { formatRecentChange } from './recent-changes.js';
+import {
+  isNoneItem,
+  formatPersonName,
+  formatSummaryAsText,
+  formatEventAsText,
+  mergeAirborne
+} from './summary.js';
+
+const EXPORT_FILE_TYPE = 'dietary-dashboard/summary';
+
+function isEvent(summaries) {
+  return summaries.length > 1;
+}
+
+function getTitle(summaries) {
+  if (isEvent(summaries)) return 'Event Dietary Summary';
+  return summaries[0].mealName ? `Dietary Summary - ${summaries[0].mealName}` : 'Dietary Summary';
+}
+
+// Airborne allergies for the top of an export. Events merge every meal's,
+// noting which meals each person is at.
+function getLeadingAirborne(summaries) {
+  return isEvent(summaries) ? mergeAirborne(summaries) : summaries[0].airborne;
+}
+
+function formatPersonRestrictions(person) {
+  const restrictions = person.restrictions.map(r => {
+    const severity = isNoneItem(r.item) ? '' : formatSeverity(r.severity, r.notes, r.item);
+    return `${r.item}${severity}${formatRecentChange(r.changedAt)}`;
+  });
+  return restrictions.join(', ') || 'None';
+}
+
+function formatAirbornePerson(p) {
+  const meals = p.meals ? ` (${p.meals.join(', ')})` : '';
+  return `${p.name}${meals}${formatRecentChange(p.changedAt)}`;
+}
+
+function formatText(summaries) {
+  return isEvent(summaries) ? formatEventAsText(summaries) : formatSummaryAsText(summaries[0]);
+}
+
+// ========================================
+// MARKDOWN
+// ========================================
+// Chat-flavoured: *bold* and "- " lists read well pasted into WhatsApp or
+// Slack, and still render as Markdown elsewhere.
+
+function formatRestrictionTreeAsMarkdown(nodes, indent = '') {
+  return nodes.map(node => {
+    let text = `${indent}- *${node.item}*\n`;
+    node.people.forEach(p => {
+      const detail = isNoneItem(node.item) ? '' : formatSeverity(p.severity, p.notes, node.item);
+      text += `${indent}  - ${p.name}${detail}${formatRecentChange(p.changedAt)}\n`;
+    });
+    return text + formatRestrictionTreeAsMarkdown(node.children, `${indent}  `);
+  }).join('');
+}
+
+function formatAirborneAsMarkdown(airborne, heading) {
+  if (airborne.length === 0) return '';
+
+  let text = `> ⚠️ *${heading}* ⚠️\n`;
+  airborne.forEach(([item, people]) => {
+    text += `> *${item}*: ${people.map(formatAirbornePerson).join(', ')}\n`;
+  });
+  return `${text}\n`;
+}
+
+function formatMealAsMarkdown(summary) {
+  let text = `*Attendees (${summary.attendees.length}):* ${summary.attendees.join(', ')}\n\n`;
+
+  text += formatAirborneAsMarkdown(summary.airborne, 'AIRBORNE ALLERGIES');
+
+  if (summary.other.length > 0) {
+    text += '*Dietary Restrictions*\n';
+    text += formatRestrictionTreeAsMarkdown(summary.otherTree);
+    text += '\n';
+  }
+
+  text += '*Restrictions by Person*\n';
+  summary.byPerson.forEach(person => {
+    text += `- ${formatPersonName(person)}: ${formatPersonRestrictions(person)}\n`;
+  });
+  return text;
+}
+
+function formatMarkdown(summaries) {
+  let text = `*${getTitle(summaries)}*\n\n`;
+
+  if (!isEvent(summaries)) {
+    return text + formatMealAsMarkdown(summaries[0]);
+  }
+
+  text += formatAirborneAsMarkdown(getLeadingAirborne(summaries), 'AIRBORNE ALLERGIES - ALL MEALS');
+  return text + summaries
+    .map(summary => `*— ${summary.mealName} —*\n${formatMealAsMarkdown(summary)}`)
+    .join('\n');
+}
+
+// ========================================
+// HTML
+// ========================================
+// A standalone page with its own styles, so it can be emailed or opened
+// offline. Also what the PDF export prints.
+
+export function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+const HTML_STYLES = `
+  body { font-family: system-ui, -apple-system, "Segoe UI", sans-serif; color: #111827; max-width: 48rem; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+  h1 { font-size: 1.75rem; margin-bottom: 0.5rem; }
+  h2 { font-size: 1.4rem; border-bottom: 2px solid #3b82f6; padding-bottom: 0.25rem; margin-top: 2rem; }
+  h3 { font-size: 1.15rem; margin: 1.25rem 0 0.5rem; }
+  ul { margin: 0.25rem 0; padding-left: 1.5rem; }
+  .airborne { background: #fef2f2; border: 3px solid #ef4444; border-radius: 0.5rem; padding: 0.75rem 1.25rem; margin: 1rem 0; color: #7f1d1d; }
+  .airborne h3 { color: #b91c1c; margin-top: 0.5rem; }
+  .item { font-weight: 600; }
+  .severity { color: #4b5563; }
+  .changed { font-size: 0.8rem; color: #1d4ed8; }
+  @media print {
+    body { margin: 0; max-width: none; }
+    .airborne { -webkit-print-color-adjust: exact; print-color-adjust: exact; break-inside: avoid; }
+    h2 { break-after: avoid; }
+  }
+`;
+
+function formatChangeAsHtml(date) {
+  const change = formatRecentChange(date).trim();
+  return change ? ` <span class="changed">${escapeHtml(change)}</span>` : '';
+}
+
+function formatAirborneAsHtml(airborne, heading) {
+  if (airborne.length === 0) return '';
+
+  const items = airborne.map(([item, people]) => `
+      <li><span class="item">${escapeHtml(item)}</span>: ${people.map(p => {
+        const meals = p.meals ? ` (${escapeHtml(p.meals.join(', '))})` : '';
+        return `${escapeHtml(p.name)}${meals}${formatChangeAsHtml(p.changedAt)}`;
+      }).join(', ')}</li>`).join('');
+
+  return `
+    <section class="airborne">
+      <h3>⚠️ ${escapeHtml(heading)}</h3>
+      <ul>${items}
+      </ul>
+    </section>`;
+}
+
+function formatRestrictionTreeAsHtml(nodes) {
+  if (nodes.length === 0) return '';
+
+  return `<ul>${nodes.map(node => {
+    const people = node.people.map(p => {
+      const detail = isNoneItem(node.item) ? '' : formatSeverity(p.severity, p.notes, node.item);
+      return `<li>${escapeHtml(p.name)}<span class="severity">${escapeHtml(detail)}</span>${formatChangeAsHtml(p.changedAt)}</li>`;
+    }).join('');
+    return `<li><span class="item">${escapeHtml(node.item)}</span>${people ? `<ul>${people}</ul>` : ''}${formatRestrictionTreeAsHtml(node.children)}</li>`;
+  }).join('')}</ul>`;
+}
+
+function formatMealAsHtml(summary) {
+  const byPerson = summary.byPerson
+    .map(person => `<li>${escapeHtml(formatPersonName(person))}: ${escapeHtml(formatPersonRestrictions(person))}</li>`)
+    .join('');
+
+  return `
+    <p><strong>Attendees (${summary.attendees.length}):</strong> ${escapeHtml(summary.attendees.join(', '))}</p>
+    ${formatAirborneAsHtml(summary.airborne, 'AIRBORNE ALLERGIES')}
+    ${summary.other.length > 0 ? `<h3>Dietary Restrictions</h3>${formatRestrictionTreeAsHtml(summary.otherTree)}` : ''}
+    <h3>Restrictions by Person</h3>
+    <ul>${byPerson}</ul>`;
+}
+
+function formatHtml(summaries) {
+  const title = getTitle(summaries);
+  const body = isEvent(summaries)
+    ? formatAirborneAsHtml(getLeadingAirborne(summaries), 'AIRBORNE ALLERGIES - ALL MEALS') + summaries
+        .map(summary => `<h2>${escapeHtml(summary.mealName)}</h2>${formatMealAsHtml(summary)}`)
+        .join('')
+    : formatMealAsHtml(summaries[0]);
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <style>${HTML_STYLES}</style>
+</head>
+<body>
+  <h1>${escapeHtml(title)}</h1>
+  ${body}
+</body>
+</html>
+`;
+}
+
+// ========================================
+// CSV
+// ========================================
+// One row per person and restriction (people with none get a "None" row).
+// Airborne rows come first; the rest follow meal by meal.
+
+const CSV_COLUMNS = ['Meal', 'Person', 'Guest', 'Item', 'Severity', 'Notes', 'Changed'];
+
+export function escapeCsv(value) {
+  const text = String(value ?? '');
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function getCsvRows(summary) {
+  return summary.byPerson.flatMap(person => {
+    const base = [summary.mealName || '', person.name, person.guest ? 'yes' : ''];
+    if (person.restrictions.length === 0) {
+      return [{ airborne: false, cells: [...base, 'None', '', '', ''] }];
+    }
+    return person.restrictions.map(r => {
+      const airborne = normalizeSeverity(r.severity, r.notes, r.item) === 'airborne';
+      const severity = isNoneItem(r.item) ? '' : getSeverityLevel(r.severity, r.notes, r.item).label;
+      return {
+        airborne,
+        cells: [...base, r.item, airborne ? severity.toUpperCase() : severity, r.notes || '', r.changedAt || '']
+      };
+    });
+  });
+}
+
+function formatCsv(summaries) {
+  const rows = summaries.flatMap(getCsvRows);
+  const ordered = [...rows.filter(row => row.airborne), ...rows.filter(row => !row.airborne)];
+
+  return [CSV_COLUMNS, ...ordered.map(row => row.cells)]
+    .map(cells => cells.map(escapeCsv).join(','))
+    .join('\r\n') + '\r\n';
+}
+
+// ========================================
+// JSON
+// ========================================
+
+function formatJson(summaries) {
+  return JSON.stringify({
+    type: EXPORT_FILE_TYPE,
+    version: 1,
+    exportedAt: new Date().toISOString(),
+    airborne: getLeadingAirborne(summaries),
+    // otherTree is left out - it's `other` nested by the allergen taxonomy
+    meals: summaries.map(({ mealName, airborne, attendees, other, byPerson }) => ({
+      mealName,
+      airborne,
+      attendees,
+      other,
+      byPerson
+    }))
+  }, null, 2);
+}
+
+export const EXPORT_FORMATS = [
+  { id: 'text', label: 'Plain text', extension: 'txt', mimeType: 'text/plain', format: formatText },
+  { id: 'markdown', label: 'Markdown (WhatsApp, Slack)', extension: 'md', mimeType: 'text/markdown', format: formatMarkdown },
+  { id: 'html', label: 'HTML page', extension: 'html', mimeType: 'text/html', format: formatHtml },
+  { id: 'csv', label: 'CSV (spreadsheet)', extension: 'csv', mimeType: 'text/csv', format: formatCsv },
+  { id: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json', format: formatJson },
+  { id: 'pdf', label: 'PDF (print)', extension: 'pdf', mimeType: 'text/html', format: formatHtml, print: true }
+];
+
+// Unknown ids fall back to plain text
+export function getExportFormat(id) {
+  return EXPORT_FORMATS.find(format => format.id === id) || EXPORT_FORMATS[0];
+}
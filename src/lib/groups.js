@@ -0,0 +1,20 @@
+// Per-group datasets written by the sync script when GOOGLE_SHEET_TABS is set.
+// Each lives at src/data/groups/<slug>/dietary-restrictions.json.
+const groupDatasets = import.meta.glob('../data/groups/*/dietary-restrictions.json', {
+  eager: true,
+  import: 'default'
+});
+
+export function getGroups() {
+  return Object.values(groupDatasets)
+    .filter(data => data.group)
+    .sort((a, b) => a.group.name.localeCompare(b.group.name));
+}
+
+// For getStaticPaths() in src/pages/[group]/
+export function getGroupPaths() {
+  return getGroups().map(data => ({
+    params: { group: data.group.slug },
+    props: { dietaryData: data },
+  }));
+}
@@ -0,0 +1,114 @@
+// Match a pasted RSVP list (a WhatsApp message, an email, one name per line)
+// against the members in the data, tolerating typos, missing last names and
+// diacritics.
+
+import { normalizeText } from './ingredients.js';
+
+// A match this good, clearly ahead of the runner-up, is taken as-is
+const CONFIDENT_SCORE = 0.85;
+// Below this a member isn't worth offering as a choice
+const CANDIDATE_SCORE = 0.6;
+// How far ahead of the runner-up a confident match has to be
+const CONFIDENT_MARGIN = 0.1;
+
+function normalizeName(name) {
+  return normalizeText(name)
+    .replace(/[^a-z0-9\s'-]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// A chat message's timestamp and sender: WhatsApp's "[12/10/24, 9:01 PM] Rivka: "
+// or an exported chat's "12/10/24, 9:01 PM - Rivka: ". Only the sender of a
+// timestamped line is dropped - in "Coming Friday: Avi, Chava" everything
+// is kept, and anything that isn't a member shows up as unmatched.
+const CHAT_PREFIX = /^\s*(\[[^\]]*\]|\d{1,4}[./-]\d{1,2}[./-]\d{1,4},?\s+\d{1,2}:\d{2}(:\d{2})?(\s*[ap]\.?m\.?)?\s+-)\s*([^:]{1,40}:\s)?/i;
+
+// Split pasted text into guest names. Handles bullets, numbering, "+1"s,
+// chat messages and "Avi & Rivka" / "Avi and Rivka".
+// "1. Avi Cohen\n- Rivka & Dov" -> ["Avi Cohen", "Rivka", "Dov"]
+export function splitGuestList(text) {
+  return text
+    .split('\n')
+    .map(line => line.replace(CHAT_PREFIX, ''))
+    .flatMap(line => line.split(/[,;:]|\s&\s|\band\b/i))
+    .map(part => part
+      .replace(/\+\s*\d+/g, '')
+      .replace(/^[\s\-*•·>]*(\d+[.)]\s*)?/, '')
+      .replace(/[^\p{L}\p{M}\s'.-]/gu, '')
+      .trim())
+    .filter(part => /\p{L}/u.test(part));
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 1 for identical strings, falling towards 0 with each typo
+function similarity(a, b) {
+  if (!a || !b) return 0;
+  return 1 - editDistance(a, b) / Math.max(a.length, b.length);
+}
+
+// How well a guest name fits one way of writing a member's name. "Avi" fits
+// "Avi Cohen" (a missing last name costs a little), "Avi Kohen" fits with a
+// typo. Each word of the guest name is matched to its best word in the name.
+function scoreAgainst(guest, name) {
+  if (guest === name) return 1;
+
+  const guestWords = guest.split(' ');
+  const nameWords = name.split(' ');
+  const wordScores = guestWords.map(word =>
+    Math.max(...nameWords.map(nameWord => similarity(word, nameWord)))
+  );
+  const average = wordScores.reduce((sum, score) => sum + score, 0) / wordScores.length;
+  const missingWords = Math.max(0, nameWords.length - guestWords.length);
+
+  return Math.max(
+    similarity(guest, name),
+    average * (1 - 0.05 * missingWords)
+  );
+}
+
+// Best score over the member's name and aliases
+export function scoreMember(guestName, member) {
+  const guest = normalizeName(guestName);
+  return Math.max(
+    ...[member.name, ...(member.aliases || [])].map(name => scoreAgainst(guest, normalizeName(name)))
+  );
+}
+
+// One entry per pasted name:
+//   { input, status: 'matched', member, candidates }
+//   { input, status: 'ambiguous', member: null, candidates }
+//   { input, status: 'unmatched', member: null, candidates: [] }
+// `candidates` are [{ member, score }], best first.
+export function matchGuestList(text, members) {
+  return splitGuestList(text).map(input => {
+    const candidates = members
+      .map(member => ({ member, score: scoreMember(input, member) }))
+      .filter(candidate => candidate.score >= CANDIDATE_SCORE)
+      .sort((a, b) => b.score - a.score || a.member.name.localeCompare(b.member.name));
+
+    const [best, runnerUp] = candidates;
+    if (!best) {
+      return { input, status: 'unmatched', member: null, candidates: [] };
+    }
+    if (best.score >= CONFIDENT_SCORE && (!runnerUp || best.score - runnerUp.score >= CONFIDENT_MARGIN)) {
+      return { input, status: 'matched', member: best.member, candidates };
+    }
+    return { input, status: 'ambiguous', member: null, candidates };
+  });
+}
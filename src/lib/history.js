@@ -0,0 +1,56 @@
+// Change history the sync writes next to each dataset
+// (restriction-history.json). Build-time only: pages fold the dates into the
+// dataset with addChangeDates(), so the history files never reach the client
+// on their own.
+const histories = import.meta.glob(
+  ['../data/restriction-history.json', '../data/groups/*/restriction-history.json'],
+  { eager: true, import: 'default' }
+);
+
+function getHistory(data) {
+  const file = data.group
+    ? `../data/groups/${data.group.slug}/restriction-history.json`
+    : '../data/restriction-history.json';
+  return histories[file] || { changes: [] };
+}
+
+function changeKey(member, item) {
+  return `${member}\u0000${item.toLowerCase()}`;
+}
+
+// Adds `changedAt` (YYYY-MM-DD of the latest change) to restrictions that
+// were added or changed severity, and `removedRestrictions`
+// ([{ item, removedAt }]) to members for items they no longer have.
+// Whether a date counts as recent is decided in the browser
+// (src/lib/recent-changes.js), since the site may be built long after a sync.
+export function addChangeDates(data) {
+  const { changes } = getHistory(data);
+  if (changes.length === 0) return data;
+
+  // Changes are appended in date order, so the last one per item wins
+  const latest = new Map();
+  changes.forEach(change => latest.set(changeKey(change.member, change.item), change));
+
+  return {
+    ...data,
+    members: data.members.map(member => {
+      const restrictions = member.restrictions.map(r => {
+        const change = latest.get(changeKey(member.name, r.item));
+        return change && change.change !== 'removed' ? { ...r, changedAt: change.date } : r;
+      });
+
+      const current = new Set(member.restrictions.map(r => r.item.toLowerCase()));
+      const removedRestrictions = [...latest.values()]
+        .filter(change =>
+          change.member === member.name &&
+          change.change === 'removed' &&
+          !current.has(change.item.toLowerCase())
+        )
+        .map(change => ({ item: change.item, removedAt: change.date }));
+
+      return removedRestrictions.length > 0
+        ? { ...member, restrictions, removedRestrictions }
+        : { ...member, restrictions };
+    })
+  };
+}
@@ -0,0 +1,97 @@
+// Match free-text ingredient lists (recipes, product labels) to restriction
+// items using the keyword dictionary in src/data/allergen-keywords.json.
+
+import { getAncestors, isSameItem } from './taxonomy.js';
+
+// Lowercase and strip diacritics so "Crème fraîche" matches "creme fraiche"
+export function normalizeText(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// Whole-word match, allowing simple plurals ("almonds", "peaches")
+function containsKeyword(text, keyword) {
+  const pattern = new RegExp(`(^|[^a-z])${escapeRegExp(keyword)}(s|es)?($|[^a-z])`);
+  return pattern.test(text);
+}
+
+// Split a label into individual ingredients.
+// "Flour (wheat, malted barley), whey" -> ["flour", "wheat", "malted barley", "whey"]
+export function splitIngredients(text) {
+  return text
+    .split(/[,;\n()[\]]|\band\b/i)
+    .map(part => part.replace(/^\s*(contains|ingredients|may contain)\s*:?/i, '').trim())
+    .filter(Boolean);
+}
+
+// Build the keyword list for each item. Restriction names from the sheet
+// count as keywords too, so "Dairy" matches even without a dictionary entry.
+// Plural names also match in the singular ("Almonds" -> "almond").
+function buildKeywordIndex(restrictionsList, dictionary) {
+  const index = new Map();
+
+  const addEntry = (item, keywords, exclude) => {
+    const existingKey = [...index.keys()].find(key => key.toLowerCase() === item.toLowerCase());
+    const key = existingKey || item;
+    const entry = index.get(key) || { keywords: new Set(), exclude: new Set() };
+    keywords.forEach(k => entry.keywords.add(normalizeText(k)));
+    exclude.forEach(k => entry.exclude.add(normalizeText(k)));
+    index.set(key, entry);
+  };
+
+  // Sheet names first so dictionary entries attach to the sheet's spelling
+  restrictionsList.forEach(item => {
+    const parts = item.split('/').map(part => part.trim()).filter(Boolean);
+    addEntry(item, parts.flatMap(part => [part, part.replace(/(?<!s)s$/i, '')]), []);
+  });
+
+  Object.entries(dictionary).forEach(([item, entry]) => {
+    addEntry(item, entry.keywords || [], entry.exclude || []);
+  });
+
+  // More specific items ("Milk", "Butter") skip their parents' false friends
+  // too, so "coconut milk" and "cocoa butter" don't match them either
+  index.forEach((entry, item) => {
+    getAncestors(item).forEach(ancestor => {
+      const parentKey = [...index.keys()].find(key => isSameItem(key, ancestor));
+      if (parentKey) {
+        index.get(parentKey).exclude.forEach(phrase => entry.exclude.add(phrase));
+      }
+    });
+  });
+
+  return index;
+}
+
+// Returns [{ item, ingredients: [matched ingredient text, ...] }]
+export function matchIngredients(text, restrictionsList, dictionary) {
+  const ingredients = splitIngredients(text);
+  const index = buildKeywordIndex(restrictionsList, dictionary);
+  const matches = [];
+
+  index.forEach((entry, item) => {
+    // Longest phrases first, so "buckwheat flour" goes as a whole rather
+    // than "buckwheat" leaving "flour" behind
+    const exclude = [...entry.exclude].sort((a, b) => b.length - a.length);
+
+    const matched = ingredients.filter(ingredient => {
+      let normalized = normalizeText(ingredient);
+      exclude.forEach(phrase => {
+        normalized = normalized.split(phrase).join(' ');
+      });
+      return [...entry.keywords].some(keyword => containsKeyword(normalized, keyword));
+    });
+
+    if (matched.length > 0) {
+      matches.push({ item, ingredients: matched });
+    }
+  });
+
+  return matches;
+}
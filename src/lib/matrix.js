@@ -0,0 +1,103 @@
+// Grid view of a meal summary: attendees as rows, restriction items as
+// columns. Columns with an airborne allergy always come first; the rest
+// follow the summary's RESTRICTION_SORT_CONFIG order unless re-sorted.
+
+import { getSeverityLevel, severityRank } from './severity.js';
+import { isNoneItem, formatPersonName } from './summary.js';
+import { escapeCsv } from './export-formats.js';
+
+// { columns: [{ item, airborne, count }], rows: [{ name, guest, cells }] }
+// `cells` maps an item to the person's { severity, notes } for it.
+export function buildRestrictionMatrix(summary) {
+  const airborneItems = summary.airborne.map(([item]) => item);
+  const items = [
+    ...airborneItems,
+    ...summary.other
+      .map(([item]) => item)
+      .filter(item => !isNoneItem(item) && !airborneItems.includes(item))
+  ];
+
+  const rows = summary.byPerson.map(person => ({
+    name: person.name,
+    guest: Boolean(person.guest),
+    cells: Object.fromEntries(
+      person.restrictions
+        .filter(r => items.includes(r.item))
+        .map(r => [r.item, { severity: r.severity, notes: r.notes }])
+    )
+  }));
+
+  const columns = items.map(item => ({
+    item,
+    airborne: airborneItems.includes(item),
+    count: rows.filter(row => row.cells[item]).length
+  }));
+
+  return { columns, rows };
+}
+
+// Column orders offered in the grid. Airborne columns stay pinned first.
+export const MATRIX_COLUMN_SORTS = [
+  { id: 'summary', label: 'Summary order' },
+  { id: 'count', label: 'Most people' },
+  { id: 'name', label: 'A-Z' }
+];
+
+export function sortMatrixColumns(columns, sortId) {
+  const compare = {
+    summary: () => 0,
+    count: (a, b) => b.count - a.count,
+    name: (a, b) => a.item.localeCompare(b.item)
+  }[sortId] || (() => 0);
+
+  return [
+    ...columns.filter(column => column.airborne).sort(compare),
+    ...columns.filter(column => !column.airborne).sort(compare)
+  ];
+}
+
+// Rows by name, or by one column: people with that item first, most severe
+// first, then by name
+export function sortMatrixRows(rows, { item = null, descending = false } = {}) {
+  const byName = (a, b) => a.name.localeCompare(b.name);
+  const rank = (row) => (row.cells[item]
+    ? severityRank(row.cells[item].severity, row.cells[item].notes, item)
+    : Infinity);
+
+  const sorted = [...rows].sort(item
+    ? (a, b) => rank(a) - rank(b) || byName(a, b)
+    : byName);
+  return descending ? sorted.reverse() : sorted;
+}
+
+// Case-insensitive substring filters on row names and column items.
+// `onlyRestricted` hides people with nothing in the visible columns.
+export function filterMatrix({ columns, rows }, { personQuery = '', itemQuery = '', onlyRestricted = false }) {
+  const personTerm = personQuery.trim().toLowerCase();
+  const itemTerm = itemQuery.trim().toLowerCase();
+
+  const visibleColumns = columns.filter(column => column.item.toLowerCase().includes(itemTerm));
+  const visibleRows = rows.filter(row =>
+    row.name.toLowerCase().includes(personTerm) &&
+    (!onlyRestricted || visibleColumns.some(column => row.cells[column.item]))
+  );
+
+  return { columns: visibleColumns, rows: visibleRows };
+}
+
+// The grid as shown, one row per person and one column per item. Cells hold
+// the severity label ("Airborne", "Can't eat", ...), empty if unrestricted.
+export function formatMatrixAsCsv({ columns, rows }) {
+  const header = ['Person', ...columns.map(column => column.item)];
+  const lines = rows.map(row => [
+    formatPersonName(row),
+    ...columns.map(column => {
+      const cell = row.cells[column.item];
+      return cell ? getSeverityLevel(cell.severity, cell.notes, column.item).label : '';
+    })
+  ]);
+
+  return [header, ...lines]
+    .map(cells => cells.map(escapeCsv).join(','))
+    .join('\r\n') + '\r\n';
+}
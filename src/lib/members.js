@@ -0,0 +1,51 @@
+// Helpers for working with members from the dietary restrictions data.
+
+// URL slug for a member's preview page
+export function getPersonSlug(name) {
+  return name.toLowerCase().replace(/\s+/g, '-');
+}
+
+// The alias that matches a search, if the name itself doesn't
+export function getMatchingAlias(member, search) {
+  const query = search.toLowerCase().trim();
+  if (!query || member.name.toLowerCase().includes(query)) return null;
+  return (member.aliases || []).find(alias => alias.toLowerCase().includes(query)) || null;
+}
+
+// Name or any alias contains the search
+export function memberMatchesSearch(member, search) {
+  const query = search.toLowerCase().trim();
+  return !query ||
+         member.name.toLowerCase().includes(query) ||
+         getMatchingAlias(member, query) !== null;
+}
+
+// [{ name, members }] for members with a household, sorted by name
+export function getHouseholds(members) {
+  const households = new Map();
+  members
+    .filter(member => member.household)
+    .forEach(member => {
+      const key = member.household.toLowerCase();
+      if (!households.has(key)) {
+        households.set(key, { name: member.household, members: [] });
+      }
+      households.get(key).members.push(member);
+    });
+
+  return [...households.values()].sort((a, b) => a.name.localeCompare(b.name));
+}
+
+// People search for families the way they talk about them: "Cohen",
+// "Cohens", "the Cohens", "Cohen family"
+export function householdMatchesSearch(household, search) {
+  const query = search.toLowerCase().trim()
+    .replace(/^the\s+/, '')
+    .replace(/\s+(family|household)$/, '')
+    .replace(/'s$/, '');
+  if (!query) return false;
+
+  const name = household.name.toLowerCase();
+  const candidates = [query, query.replace(/s$/, ''), query.replace(/es$/, '')];
+  return candidates.some(candidate => candidate && name.includes(candidate));
+}
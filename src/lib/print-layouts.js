@@ -0,0 +1,155 @@
+// Printable layouts for one meal's summary: a kitchen poster and fold-over
+// place cards. Both are standalone HTML documents for printHtml(). They're
+// printed in their own frame, without the site's dark-mode stylesheet, so
+// they always come out dark text on white. Place cards reuse the
+// .personal-card and .personal-tag styles from public/cards.css.
+
+import { getSeverityLevel, normalizeSeverity, severityRank, compareSeverity } from './severity.js';
+import { isNoneItem, formatPeopleCount } from './summary.js';
+import { escapeHtml } from './export-formats.js';
+
+// Levels where the item can't be served to the person at all. Airborne
+// items get their own section on the poster.
+const DO_NOT_SERVE_SEVERITIES = ['anaphylactic', 'cross-contamination', 'no'];
+
+function printDocument(title, styles, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="/cards.css">
+  <style>
+    html, body { background: #fff; color: #111827; color-scheme: light; }
+    body { margin: 0; font-family: system-ui, -apple-system, "Segoe UI", sans-serif; }
+    * { -webkit-print-color-adjust: exact; print-color-adjust: exact; }
+    ${styles}
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+// ========================================
+// KITCHEN POSTER
+// ========================================
+
+const POSTER_STYLES = `
+  @page { size: letter portrait; margin: 0.6in; }
+  h1 { font-size: 30pt; margin: 0 0 4pt; }
+  .meal { font-size: 16pt; color: #4b5563; margin: 0 0 18pt; }
+  h2 { font-size: 22pt; margin: 0 0 8pt; text-transform: uppercase; }
+  ul { list-style: none; margin: 0; padding: 0; }
+  li { font-size: 24pt; font-weight: 700; padding: 4pt 0; border-bottom: 1px solid #e5e7eb; }
+  li .detail { font-size: 13pt; font-weight: 400; color: #4b5563; margin-left: 8pt; }
+  .airborne { border: 6px solid #dc2626; background: #fef2f2; border-radius: 10pt; padding: 14pt 18pt; margin-bottom: 22pt; color: #7f1d1d; }
+  .airborne h2 { color: #b91c1c; }
+  .airborne li { font-size: 32pt; border-color: #fecaca; }
+  .none { font-size: 16pt; color: #4b5563; }
+`;
+
+// Items nobody at the meal can be served, most severe first:
+// [{ item, count, severity }] with the most severe level anyone listed
+function getDoNotServeItems(summary) {
+  return summary.other
+    .filter(([item]) => !isNoneItem(item))
+    .map(([item, people]) => {
+      const affected = people
+        .map(p => ({ ...p, item }))
+        .filter(p => DO_NOT_SERVE_SEVERITIES.includes(normalizeSeverity(p.severity, p.notes, item)));
+      const mostSevere = [...affected].sort(compareSeverity)[0];
+      return {
+        item,
+        count: affected.length,
+        severity: mostSevere && normalizeSeverity(mostSevere.severity, mostSevere.notes, item)
+      };
+    })
+    .filter(entry => entry.count > 0)
+    .sort((a, b) => severityRank(a.severity) - severityRank(b.severity) || b.count - a.count);
+}
+
+function formatDoNotServeDetail({ count, severity }) {
+  const notes = [formatPeopleCount(count)];
+  if (severity === 'anaphylactic') notes.push('severe reaction');
+  if (severity === 'cross-contamination') notes.push('use clean equipment');
+  return notes.join(' · ');
+}
+
+// Poster for the kitchen wall. Counts only - no names.
+export function formatKitchenPoster(summary) {
+  const airborne = summary.airborne.length > 0 ? `
+  <section class="airborne">
+    <h2>⚠️ Airborne - keep out of the kitchen and dining room</h2>
+    <ul>
+      ${summary.airborne.map(([item, people]) => `<li>${escapeHtml(item)}<span class="detail">${formatPeopleCount(people.length)}</span></li>`).join('\n      ')}
+    </ul>
+  </section>` : '';
+
+  const doNotServe = getDoNotServeItems(summary);
+  const doNotServeSection = doNotServe.length > 0 ? `
+  <section>
+    <h2>Do not serve</h2>
+    <ul>
+      ${doNotServe.map(entry => `<li>${escapeHtml(entry.item)}<span class="detail">${formatDoNotServeDetail(entry)}</span></li>`).join('\n      ')}
+    </ul>
+  </section>` : '';
+
+  const body = `
+  <h1>Kitchen Allergen Notice</h1>
+  <p class="meal">${escapeHtml(summary.mealName || 'This meal')} · ${formatPeopleCount(summary.byPerson.length)}</p>
+  ${airborne}
+  ${doNotServeSection || (airborne ? '' : '<p class="none">No allergies or can\'t-eat items at this meal.</p>')}`;
+
+  return printDocument('Kitchen Allergen Notice', POSTER_STYLES, body);
+}
+
+// ========================================
+// PLACE CARDS
+// ========================================
+// Four cards per letter page. Each folds along the middle into a tent: the
+// top half is printed upside down so the name reads the right way up from
+// across the table once folded.
+
+const PLACE_CARD_STYLES = `
+  @page { size: letter portrait; margin: 0.5in; }
+  .sheet { display: grid; grid-template-columns: repeat(2, 3.75in); grid-auto-rows: 5in; }
+  .place-card { display: flex; flex-direction: column; border: 1px dashed #9ca3af; break-inside: avoid; }
+  .place-card-half { height: 2.5in; box-sizing: border-box; display: flex; flex-direction: column; justify-content: center; align-items: center; text-align: center; }
+  .place-card-outside { transform: rotate(180deg); border-bottom: 1px dotted #d1d5db; }
+  .place-card .personal-card { margin: 0; max-width: none; box-shadow: none; border-radius: 0; padding: 0.25in; }
+  .place-card h2 { font-size: 20pt; margin: 0 0 8pt; }
+  .place-card-outside h2 { font-size: 26pt; }
+  .place-card-tags { display: flex; flex-wrap: wrap; justify-content: center; gap: 4pt; }
+  .place-card .personal-tag { font-size: 9pt; }
+  .place-card .personal-tag.airborne { border-color: #dc2626; background: #fef2f2; color: #991b1b; }
+  .place-card-none { font-size: 10pt; color: #6b7280; }
+`;
+
+function formatRestrictionTag(restriction) {
+  const level = getSeverityLevel(restriction.severity, restriction.notes, restriction.item);
+  const label = level.id === 'no' ? restriction.item : `${restriction.item} · ${level.label}`;
+  return `<span class="personal-tag${level.id === 'airborne' ? ' airborne' : ''}">${escapeHtml(label)}</span>`;
+}
+
+function formatPlaceCard(person) {
+  const name = escapeHtml(person.name);
+  const restrictions = person.restrictions.filter(r => !isNoneItem(r.item));
+  const tags = restrictions.length > 0
+    ? `<div class="place-card-tags">${restrictions.map(formatRestrictionTag).join('')}</div>`
+    : '<p class="place-card-none">No dietary restrictions</p>';
+
+  return `
+  <div class="place-card">
+    <div class="place-card-half place-card-outside"><h2>${name}</h2></div>
+    <div class="place-card-half personal-card"><h2>${name}</h2>${tags}</div>
+  </div>`;
+}
+
+// One card per attendee, in the summary's order
+export function formatPlaceCards(summary) {
+  const title = summary.mealName ? `Place Cards - ${summary.mealName}` : 'Place Cards';
+  return printDocument(title, PLACE_CARD_STYLES, `<div class="sheet">${summary.byPerson.map(formatPlaceCard).join('')}\n</div>`);
+}
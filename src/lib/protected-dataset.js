@@ -0,0 +1,30 @@
+// Build-time side of passphrase protection. When DATASET_PASSPHRASE is set,
+// pages pass the dataset through protectDataset() so only ciphertext ends up
+// in the published HTML. Server-only: imports node:crypto.
+
+import { webcrypto } from 'node:crypto';
+import { createKeyParams, deriveKey, encryptDataset } from './dataset-crypto.js';
+
+const PASSPHRASE = import.meta.env.DATASET_PASSPHRASE || process.env.DATASET_PASSPHRASE;
+
+export const isDatasetProtected = Boolean(PASSPHRASE);
+
+// One salt and key per build - PBKDF2 is deliberately slow, and a shared key
+// means unlocking once covers every page (and every group) of the site
+let buildKey = null;
+
+function getBuildKey() {
+  if (!buildKey) {
+    const params = createKeyParams(webcrypto);
+    buildKey = deriveKey(PASSPHRASE, params, webcrypto).then(key => ({ key, params }));
+  }
+  return buildKey;
+}
+
+// The dataset as-is, or its encrypted payload when a passphrase is set
+export async function protectDataset(data) {
+  if (!isDatasetProtected) return data;
+
+  const { key, params } = await getBuildKey();
+  return encryptDataset(data, key, params, webcrypto);
+}
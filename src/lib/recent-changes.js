@@ -0,0 +1,30 @@
+// "Recently changed" checks for the dates addChangeDates() adds at build time
+
+// How long a change is highlighted
+export const RECENT_CHANGE_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function parseChangeDate(date) {
+  return new Date(`${date}T00:00:00Z`);
+}
+
+export function isRecentChange(date, now = new Date()) {
+  if (!date) return false;
+  return now - parseChangeDate(date) <= RECENT_CHANGE_DAYS * DAY_MS;
+}
+
+// "Oct 3"
+export function formatChangeDate(date) {
+  return parseChangeDate(date).toLocaleDateString(undefined, { month: 'short', day: 'numeric', timeZone: 'UTC' });
+}
+
+// Items the member had until recently: [{ item, removedAt }]
+export function getRecentRemovals(member, now = new Date()) {
+  return (member.removedRestrictions || []).filter(r => isRecentChange(r.removedAt, now));
+}
+
+// Suffix for plain-text output, empty unless the change is recent
+export function formatRecentChange(date, now = new Date()) {
+  return isRecentChange(date, now) ? ` [changed ${date}]` : '';
+}
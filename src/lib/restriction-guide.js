@@ -0,0 +1,80 @@
+// Cooking guidance for restriction items from src/data/restriction-guide.json:
+// what to watch for, where the item hides, and what to use instead. Items
+// without their own entry use their nearest parent's ("Almonds" -> "Nuts").
+
+import restrictionGuide from '../data/restriction-guide.json';
+import { isSameItem, getAncestors, itemsOverlap } from './taxonomy.js';
+import { isNoneItem } from './summary.js';
+
+// { item, guidance, hiddenSources, substitutes } or null. `item` is the
+// guide's own name for the entry.
+export function getGuideEntry(item, guide = restrictionGuide) {
+  for (const candidate of [item, ...getAncestors(item)]) {
+    const name = Object.keys(guide).find(key => isSameItem(key, candidate));
+    if (name) {
+      return { item: name, ...guide[name] };
+    }
+  }
+  return null;
+}
+
+// Everything anyone at the table avoids, airborne first
+function getTableItems(summary) {
+  const items = [];
+  [...summary.airborne, ...summary.other].forEach(([item]) => {
+    if (!isNoneItem(item) && !items.some(existing => isSameItem(existing, item))) {
+      items.push(item);
+    }
+  });
+  return items;
+}
+
+// Guide entries for a meal summary, with each substitute checked against
+// every restriction at the table - oat milk replaces dairy, but not when
+// someone else is gluten-free. Items that share an entry ("Almonds" and
+// "Cashews" under "Nuts") are listed together.
+// Returns [{ item, items, guidance, hiddenSources, swaps }], where `swaps`
+// is [{ for, safe: [use], unsafe: [{ use, conflicts: [table items] }] }].
+export function buildSafeForTable(summary, guide = restrictionGuide) {
+  const tableItems = getTableItems(summary);
+  const entries = [];
+
+  tableItems.forEach(item => {
+    const entry = getGuideEntry(item, guide);
+    if (!entry) return;
+
+    const existing = entries.find(e => e.item === entry.item);
+    if (existing) {
+      existing.items.push(item);
+      return;
+    }
+
+    const swaps = [];
+    entry.substitutes.forEach(substitute => {
+      let swap = swaps.find(s => s.for === substitute.for);
+      if (!swap) {
+        swap = { for: substitute.for, safe: [], unsafe: [] };
+        swaps.push(swap);
+      }
+
+      const conflicts = tableItems.filter(tableItem =>
+        substitute.contains.some(contained => itemsOverlap(contained, tableItem))
+      );
+      if (conflicts.length > 0) {
+        swap.unsafe.push({ use: substitute.use, conflicts });
+      } else {
+        swap.safe.push(substitute.use);
+      }
+    });
+
+    entries.push({
+      item: entry.item,
+      items: [item],
+      guidance: entry.guidance,
+      hiddenSources: entry.hiddenSources,
+      swaps
+    });
+  });
+
+  return entries;
+}
@@ -0,0 +1,127 @@
+// Shared helpers for checking food items against attendees' restrictions.
+// Used by the menu planner (and anything else that needs to answer
+// "who is affected if this is on the table?").
+
+import { normalizeSeverity, compareSeverity } from './severity.js';
+import { itemsOverlap, isSameItem } from './taxonomy.js';
+
+// Find every attendee restriction that conflicts with the given items.
+// Uses the allergen taxonomy, so "Almonds" conflicts with a "Nuts" allergy
+// and the other way round.
+// `attendees` is the `summary.byPerson` array: [{ name, restrictions }]
+// Returns { airborne, cannot, smallAmounts, preference } - each a list of
+// { name, item, severity, notes } entries. `cannot` covers anaphylactic,
+// cross-contamination and plain "can't eat", most severe first.
+export function findConflicts(items, attendees) {
+  const conflicts = {
+    airborne: [],
+    cannot: [],
+    smallAmounts: [],
+    preference: []
+  };
+
+  // Diets aren't ingredients - a dish tagged "Vegetarian" (from an older
+  // share link) doesn't conflict with vegetarians
+  const foodItems = items.filter(item => !isDietItem(item));
+
+  attendees.forEach(person => {
+    person.restrictions
+      .filter(r => foodItems.some(item => itemsOverlap(item, r.item)))
+      .forEach(r => {
+        const severity = normalizeSeverity(r.severity, r.notes, r.item);
+        const entry = {
+          name: person.name,
+          item: r.item,
+          severity,
+          notes: r.notes
+        };
+
+        if (severity === 'airborne') {
+          conflicts.airborne.push(entry);
+        } else if (severity === 'small amounts') {
+          conflicts.smallAmounts.push(entry);
+        } else if (severity === 'preference') {
+          conflicts.preference.push(entry);
+        } else {
+          conflicts.cannot.push(entry);
+        }
+      });
+  });
+
+  conflicts.cannot.sort(compareSeverity);
+
+  return conflicts;
+}
+
+// Rows from the sheet that aren't something a dish can contain
+export const NON_INGREDIENT_ITEMS = ['none'];
+
+export function isIngredientItem(item) {
+  return !NON_INGREDIENT_ITEMS.includes(item.toLowerCase());
+}
+
+// Rows that name a kind of meal rather than something to leave out. A dish
+// can't "contain" vegetarian, so the menu planner doesn't offer them.
+export const DIET_ITEMS = ['Vegetarian', 'Vegan', 'Pescatarian'];
+
+export function isDietItem(item) {
+  return DIET_ITEMS.some(diet => isSameItem(diet, item));
+}
+
+// Attendees who follow a diet, as [{ name, item }]. Dishes aren't tagged
+// with diets, so findConflicts() can't say whether a dish suits them.
+export function findDietAttendees(attendees) {
+  return attendees.flatMap(person =>
+    person.restrictions
+      .filter(r => isDietItem(r.item))
+      .map(r => ({ name: person.name, item: r.item }))
+  );
+}
+
+// URL slug for a restriction item: "Wheat/Gluten" -> "wheat-gluten",
+// "Crème fraîche" -> "crème-fraîche". Letters in any script are kept.
+export function getRestrictionSlug(item) {
+  return item
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// Items from `restrictionsList` that get a /by-restriction page - not
+// "None", or the "Attending?"/"Approved?" bookkeeping rows
+export function getLookupItems(restrictionsList) {
+  return restrictionsList.filter(item =>
+    isIngredientItem(item) &&
+    !item.toLowerCase().includes('attending') &&
+    !item.toLowerCase().includes('approved')
+  );
+}
+
+// [{ item, slug }] for the /by-restriction pages. Throws when an item has
+// no usable slug or two items share one, so the build fails with the names
+// to fix instead of dropping or overwriting a page.
+export function getLookupPages(restrictionsList) {
+  const bySlug = new Map();
+  return getLookupItems(restrictionsList).map(item => {
+    const slug = getRestrictionSlug(item);
+    if (!slug) {
+      throw new Error(`Restriction "${item}" has no letters or digits to build its /by-restriction/ URL from - rename it in the sheet`);
+    }
+    if (bySlug.has(slug)) {
+      throw new Error(`Restrictions "${bySlug.get(slug)}" and "${item}" both map to /by-restriction/${slug}/ - rename one of them in the sheet`);
+    }
+    bySlug.set(slug, item);
+    return { item, slug };
+  });
+}
+
+// Approved members who listed `item`, most severe first:
+// [{ name, item, severity, notes, changedAt }]
+export function findMembersWithRestriction(members, item) {
+  return members
+    .filter(member => member.approved)
+    .flatMap(member => member.restrictions
+      .filter(r => r.item === item)
+      .map(r => ({ name: member.name, item, severity: r.severity, notes: r.notes, changedAt: r.changedAt })))
+    .sort((a, b) => compareSeverity(a, b) || a.name.localeCompare(b.name));
+}
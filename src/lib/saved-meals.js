@@ -0,0 +1,148 @@
+// Named attendee groups ("Tuesday learning group") and a history of generated
+// meals, kept in the host's browser (localStorage). Each sheet group of a
+// multi-group site has its own, since attendee names only mean something
+// within one dataset.
+//
+// Every function takes a `store`: { scope, sessionOnly }. `scope` is the
+// sheet group's slug. `sessionOnly` keeps everything in sessionStorage
+// instead, for passphrase-protected builds - names and allergies shouldn't
+// outlive the session that unlocked them.
+
+import { SEVERITY_LEVELS } from './severity.js';
+
+export const MEAL_HISTORY_LIMIT = 20;
+
+const GROUPS_FILE_TYPE = 'dietary-dashboard/attendee-groups';
+
+function storageKey(kind, store) {
+  return `dietary-dashboard:${kind}:${store.scope || 'default'}`;
+}
+
+function getStorage(store) {
+  return store.sessionOnly ? sessionStorage : localStorage;
+}
+
+// Storage can be unavailable (private browsing, blocked cookies) - saving
+// then does nothing instead of breaking the page
+function readList(kind, store) {
+  try {
+    const parsed = JSON.parse(getStorage(store).getItem(storageKey(kind, store)) || '[]');
+    return Array.isArray(parsed) ? parsed : [];
+  } catch {
+    return [];
+  }
+}
+
+function writeList(kind, store, list) {
+  try {
+    getStorage(store).setItem(storageKey(kind, store), JSON.stringify(list));
+  } catch {
+    // Ignore - see readList()
+  }
+}
+
+// Only the people at a meal - not its dishes
+function toSavedMeal(meal) {
+  return { name: meal.name, attendees: meal.attendees, guests: meal.guests };
+}
+
+// [{ name, attendees, guests, savedAt }], sorted by name
+export function loadAttendeeGroups(store) {
+  return readList('attendee-groups', store);
+}
+
+// Save `meal`'s people as a group, replacing any group with the same name
+export function saveAttendeeGroup(store, name, meal) {
+  const group = {
+    ...toSavedMeal(meal),
+    name,
+    savedAt: new Date().toISOString()
+  };
+  return replaceAttendeeGroups(store, mergeAttendeeGroups(loadAttendeeGroups(store), [group]));
+}
+
+export function deleteAttendeeGroup(store, name) {
+  return replaceAttendeeGroups(store, loadAttendeeGroups(store).filter(group => group.name !== name));
+}
+
+export function replaceAttendeeGroups(store, groups) {
+  const sorted = [...groups].sort((a, b) => a.name.localeCompare(b.name));
+  writeList('attendee-groups', store, sorted);
+  return sorted;
+}
+
+// `incoming` groups replace existing ones with the same name (ignoring case)
+export function mergeAttendeeGroups(existing, incoming) {
+  const names = incoming.map(group => group.name.toLowerCase());
+  return [
+    ...existing.filter(group => !names.includes(group.name.toLowerCase())),
+    ...incoming
+  ];
+}
+
+// Contents of an exported groups file
+export function exportAttendeeGroups(groups) {
+  return JSON.stringify({ type: GROUPS_FILE_TYPE, version: 1, groups }, null, 2);
+}
+
+// Guests from a file, keeping only well-formed ones: a name and a list of
+// { item, severity, notes } restrictions with a known severity
+function toGuests(guests) {
+  const severities = SEVERITY_LEVELS.map(level => level.id);
+  return (Array.isArray(guests) ? guests : [])
+    .filter(guest => guest && typeof guest.name === 'string' && guest.name.trim())
+    .map(guest => ({
+      name: guest.name.trim(),
+      guest: true,
+      restrictions: (Array.isArray(guest.restrictions) ? guest.restrictions : [])
+        .filter(r => r && typeof r.item === 'string' && r.item.trim() && severities.includes(r.severity))
+        .map(r => ({ item: r.item.trim(), severity: r.severity, notes: typeof r.notes === 'string' ? r.notes : '' }))
+    }));
+}
+
+// Groups from an exported file. Throws with a message for the host if the
+// file isn't one.
+export function parseAttendeeGroupsFile(text) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch {
+    throw new Error("This file isn't an attendee groups export.");
+  }
+  if (!parsed || parsed.type !== GROUPS_FILE_TYPE || !Array.isArray(parsed.groups)) {
+    throw new Error("This file isn't an attendee groups export.");
+  }
+
+  return parsed.groups
+    .filter(group => group && typeof group.name === 'string' && group.name.trim())
+    .map(group => ({
+      name: group.name.trim(),
+      attendees: Array.isArray(group.attendees) ? group.attendees.filter(name => typeof name === 'string') : [],
+      guests: toGuests(group.guests),
+      savedAt: group.savedAt || new Date().toISOString()
+    }));
+}
+
+// [{ meals, generatedAt }], newest first
+export function loadMealHistory(store) {
+  return readList('meal-history', store);
+}
+
+// Add a generated meal (or event) to the history. Generating the same meals
+// again moves them to the top instead of adding a duplicate.
+export function recordMealHistory(store, meals) {
+  const saved = meals.map(toSavedMeal);
+  const signature = JSON.stringify(saved);
+  const history = [
+    { meals: saved, generatedAt: new Date().toISOString() },
+    ...loadMealHistory(store).filter(entry => JSON.stringify(entry.meals) !== signature)
+  ].slice(0, MEAL_HISTORY_LIMIT);
+
+  writeList('meal-history', store, history);
+  return history;
+}
+
+export function clearMealHistory(store) {
+  writeList('meal-history', store, []);
+  return [];
+}
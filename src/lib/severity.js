@@ -0,0 +1,124 @@
+// ========================================
+// SEVERITY LEVELS
+// ========================================
+// Ordered from most to least severe. `id` is the value the sync script
+// writes to `restriction.severity`; everything else controls how the level
+// is shown (`chartClass` fills its bars on the stats page). Imported by
+// both the site and .github/scripts.
+export const SEVERITY_LEVELS = [
+  {
+    id: 'airborne',
+    label: 'Airborne',
+    description: 'Reacts to the food being in the room',
+    icon: 'fa-triangle-exclamation',
+    badgeClass: 'bg-red-600 text-white',
+    headingClass: 'text-red-700 dark:text-red-400',
+    chartClass: 'fill-red-600'
+  },
+  {
+    id: 'anaphylactic',
+    label: 'Anaphylactic',
+    description: 'Severe reaction if eaten',
+    icon: 'fa-syringe',
+    badgeClass: 'bg-rose-100 text-rose-800 dark:bg-rose-900/40 dark:text-rose-300',
+    headingClass: 'text-rose-700 dark:text-rose-400',
+    chartClass: 'fill-rose-400'
+  },
+  {
+    id: 'cross-contamination',
+    label: 'Cross-contamination',
+    description: 'Shared equipment, fryers or surfaces are a problem',
+    icon: 'fa-kitchen-set',
+    badgeClass: 'bg-orange-100 text-orange-800 dark:bg-orange-900/40 dark:text-orange-300',
+    headingClass: 'text-orange-700 dark:text-orange-400',
+    chartClass: 'fill-orange-400'
+  },
+  {
+    id: 'no',
+    label: "Can't eat",
+    description: "Can't eat this",
+    icon: 'fa-ban',
+    badgeClass: 'bg-amber-100 text-amber-800 dark:bg-amber-900/40 dark:text-amber-300',
+    headingClass: 'text-amber-700 dark:text-amber-400',
+    chartClass: 'fill-amber-400'
+  },
+  {
+    id: 'small amounts',
+    label: 'Small amounts',
+    description: 'Can tolerate small amounts',
+    icon: 'fa-scale-balanced',
+    badgeClass: 'bg-sky-100 text-sky-800 dark:bg-sky-900/40 dark:text-sky-300',
+    headingClass: 'text-sky-700 dark:text-sky-400',
+    chartClass: 'fill-sky-400'
+  },
+  {
+    id: 'preference',
+    label: 'Preference',
+    description: 'Dietary preference or lifestyle (e.g. vegetarian)',
+    icon: 'fa-leaf',
+    badgeClass: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+    headingClass: 'text-green-700 dark:text-green-400',
+    chartClass: 'fill-green-500'
+  }
+];
+
+// Unknown values are treated as "can't eat" - the safe default
+const DEFAULT_SEVERITY = 'no';
+
+// The diet rows of the old sheet layout, the only ones answered "Yes"
+const LEGACY_DIET_ITEMS = ['vegetarian', 'vegan', 'none'];
+
+// Whether a "Yes" on this row means a diet the person follows rather than
+// a food they avoid. The sync uses this too, so it writes what the site reads.
+export function isLegacyDietItem(item) {
+  return LEGACY_DIET_ITEMS.includes(String(item || '').trim().toLowerCase());
+}
+
+// Data synced before the severity levels were added used "yes" for every
+// restriction, with the cell in `notes`: "No" for a food the person can't
+// eat, "Yes" for a diet they follow. So "Yes" is a preference on a diet row,
+// but on a food row (or when the row isn't known) it still means they avoid
+// it.
+export function normalizeSeverity(severity, notes, item = '') {
+  if (severity === 'yes') {
+    return isLegacyDietItem(item) && String(notes || '').trim().toLowerCase() === 'yes' ? 'preference' : 'no';
+  }
+  return SEVERITY_LEVELS.some(level => level.id === severity) ? severity : DEFAULT_SEVERITY;
+}
+
+// `item` only matters for legacy data - see normalizeSeverity()
+export function getSeverityLevel(severity, notes, item) {
+  const id = normalizeSeverity(severity, notes, item);
+  return SEVERITY_LEVELS.find(level => level.id === id);
+}
+
+// 0 is most severe
+export function severityRank(severity, notes, item) {
+  return SEVERITY_LEVELS.findIndex(level => level.id === normalizeSeverity(severity, notes, item));
+}
+
+// Sort comparator for anything with { severity, notes } (and `item`, if
+// it has one)
+export function compareSeverity(a, b) {
+  return severityRank(a.severity, a.notes, a.item) - severityRank(b.severity, b.notes, b.item);
+}
+
+// Suffix for plain-text output: "Dairy (small amounts)". "Can't eat" is the
+// default meaning of being listed, so it gets no suffix.
+export function formatSeverity(severity, notes, item) {
+  const level = getSeverityLevel(severity, notes, item);
+  if (level.id === 'no') return '';
+  if (level.id === 'airborne') return ' (AIRBORNE)';
+  return ` (${level.label.toLowerCase()})`;
+}
+
+// Group restrictions into [[level, restrictions], ...] by severity, most
+// severe first, skipping empty levels
+export function groupBySeverity(restrictions) {
+  return SEVERITY_LEVELS
+    .map(level => [
+      level,
+      restrictions.filter(r => normalizeSeverity(r.severity, r.notes, r.item) === level.id)
+    ])
+    .filter(([, entries]) => entries.length > 0);
+}
@@ -0,0 +1,220 @@
+// Query string for shared meals. Meals are { name, attendees, guests }, with
+// attendees as lowercase member names.
+//
+// Links use one compact token, ?s=..., so they stay short and don't spell out
+// who's coming. The token is base64url JSON:
+//   [1, [[mealName, memberBits, guests], ...]]
+// memberBits is a base64url bitset of member ids (bit n set = member with id
+// n is attending). Ids come from the sync and are never reused, so old links
+// survive members being added or removed. Ad-hoc guests aren't in the data,
+// so they travel as [["Guest 1", [["Dairy", "no"]]], ...]. The token is an
+// encoding, not encryption, so guests are numbered instead of named unless
+// the host opts in to sharing their names.
+//
+// Older links are still read:
+//   ?attendees=avi cohen,chava&meal=...&guests=[{ "n": "Dana", "r": [...] }]
+//   ?meals=[{ "m": "Friday Dinner", "a": [...], "g": [...] }]
+// and are still written if the data has no member ids yet (synced before ids
+// existed).
+
+import { SEVERITY_LEVELS } from './severity.js';
+
+const TOKEN_VERSION = 1;
+
+function toBase64Url(bytes) {
+  let binary = '';
+  bytes.forEach(byte => { binary += String.fromCharCode(byte); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+  return Uint8Array.from(atob(base64), char => char.charCodeAt(0));
+}
+
+function encodeMemberBits(ids) {
+  const bytes = new Uint8Array(Math.ceil((Math.max(0, ...ids) + 1) / 8));
+  ids.forEach(id => { bytes[id >> 3] |= 1 << (id & 7); });
+  return toBase64Url(bytes);
+}
+
+function decodeMemberBits(text) {
+  const ids = [];
+  fromBase64Url(text).forEach((byte, index) => {
+    for (let bit = 0; bit < 8; bit++) {
+      if (byte & (1 << bit)) ids.push(index * 8 + bit);
+    }
+  });
+  return ids;
+}
+
+function encodeGuests(guests) {
+  return guests.map(guest => [guest.name, guest.restrictions.map(r => [r.item, r.severity])]);
+}
+
+// Guests from [name, restrictions] pairs, skipping anything malformed (a
+// truncated link shouldn't break the page)
+function toGuests(entries) {
+  const severities = SEVERITY_LEVELS.map(level => level.id);
+  return entries
+    .filter(([name]) => typeof name === 'string' && name.trim())
+    .map(([name, restrictions]) => ({
+      name: name.trim(),
+      guest: true,
+      restrictions: (Array.isArray(restrictions) ? restrictions : [])
+        .filter(r => Array.isArray(r) && typeof r[0] === 'string' && severities.includes(r[1]))
+        .map(([item, severity]) => ({ item, severity, notes: '' }))
+    }));
+}
+
+function decodeGuests(parsed) {
+  return Array.isArray(parsed) ? toGuests(parsed.filter(Array.isArray)) : [];
+}
+
+// Guests from the older { n, r } objects
+function decodeLegacyGuests(parsed) {
+  if (!Array.isArray(parsed)) return [];
+  return toGuests(parsed.filter(guest => guest && typeof guest === 'object').map(guest => [guest.n, guest.r]));
+}
+
+// JSON from a param, or null if it's missing or malformed
+function parseJsonParam(param) {
+  if (!param) return null;
+  try {
+    return JSON.parse(param);
+  } catch {
+    return null;
+  }
+}
+
+export function hasPeople(meal) {
+  return meal.attendees.length > 0 || meal.guests.length > 0;
+}
+
+function buildToken(meals, idsByName) {
+  const payload = [TOKEN_VERSION, meals.map(meal => [
+    meal.name,
+    encodeMemberBits(meal.attendees.map(name => idsByName.get(name))),
+    encodeGuests(meal.guests)
+  ])];
+  return toBase64Url(new TextEncoder().encode(JSON.stringify(payload)));
+}
+
+function parseToken(token, namesById) {
+  let payload;
+  try {
+    payload = JSON.parse(new TextDecoder().decode(fromBase64Url(token)));
+  } catch {
+    return [];
+  }
+  if (!Array.isArray(payload) || payload[0] !== TOKEN_VERSION || !Array.isArray(payload[1])) {
+    return [];
+  }
+
+  return payload[1]
+    .filter(Array.isArray)
+    .map(([name, bits, guests]) => {
+      let ids = [];
+      try {
+        ids = typeof bits === 'string' ? decodeMemberBits(bits) : [];
+      } catch {
+        // Keep the meal's name and guests even if its members can't be read
+      }
+      return {
+        name: typeof name === 'string' ? name : '',
+        // Ids of members removed from the sheet since are skipped
+        attendees: ids.map(id => namesById.get(id)).filter(Boolean),
+        guests: decodeGuests(guests)
+      };
+    });
+}
+
+function buildLegacyParams(meals) {
+  const params = new URLSearchParams();
+  const legacyGuests = (guests) => encodeGuests(guests).map(([n, r]) => ({ n, r }));
+
+  if (meals.length > 1) {
+    params.set('meals', JSON.stringify(meals.map(meal => ({
+      m: meal.name,
+      a: meal.attendees,
+      g: legacyGuests(meal.guests)
+    }))));
+    return params;
+  }
+
+  const [{ name, attendees, guests }] = meals;
+  if (attendees.length > 0) {
+    params.set('attendees', attendees.join(','));
+  }
+  if (guests.length > 0) {
+    params.set('guests', JSON.stringify(legacyGuests(guests)));
+  }
+  if (name) {
+    // Encoded twice - the oldest links were built this way
+    params.set('meal', encodeURIComponent(name));
+  }
+  return params;
+}
+
+function parseLegacyParams(params) {
+  const event = parseJsonParam(params.get('meals'));
+  if (Array.isArray(event)) {
+    return event
+      .filter(meal => meal && typeof meal === 'object')
+      .map(meal => ({
+        name: typeof meal.m === 'string' ? meal.m : '',
+        attendees: Array.isArray(meal.a) ? meal.a.filter(name => typeof name === 'string') : [],
+        guests: decodeLegacyGuests(meal.g)
+      }));
+  }
+
+  const meal = params.get('meal');
+  return [{
+    name: meal ? decodeURIComponent(meal) : '',
+    attendees: (params.get('attendees') || '').split(',').filter(Boolean),
+    guests: decodeLegacyGuests(parseJsonParam(params.get('guests')))
+  }];
+}
+
+// "Guest 1", "Guest 2", ... instead of guests' names. Numbered across the
+// whole event, so a guest at two meals keeps the same number.
+function anonymizeGuests(meals) {
+  const numbers = new Map();
+  return meals.map(meal => ({
+    ...meal,
+    guests: meal.guests.map(guest => {
+      const key = guest.name.toLowerCase();
+      if (!numbers.has(key)) numbers.set(key, numbers.size + 1);
+      return { ...guest, name: `Guest ${numbers.get(key)}` };
+    })
+  }));
+}
+
+// `members` are the dataset's members, for looking up ids. Guest names are
+// only included with `guestNames: true`.
+export function buildShareParams(plannedMeals, members, { guestNames = false } = {}) {
+  const meals = guestNames ? plannedMeals : anonymizeGuests(plannedMeals);
+  const idsByName = new Map(
+    members.filter(m => Number.isInteger(m.id)).map(m => [m.name.toLowerCase(), m.id])
+  );
+  if (!meals.every(meal => meal.attendees.every(name => idsByName.has(name)))) {
+    return buildLegacyParams(meals);
+  }
+
+  const params = new URLSearchParams();
+  params.set('s', buildToken(meals, idsByName));
+  return params;
+}
+
+// The shared meals in a query string, or [] if there are none
+export function parseShareParams(search, members) {
+  const params = new URLSearchParams(search);
+  const token = params.get('s');
+  const meals = token
+    ? parseToken(token, new Map(
+        members.filter(m => Number.isInteger(m.id)).map(m => [m.id, m.name.toLowerCase()])
+      ))
+    : parseLegacyParams(params);
+
+  return meals.filter(hasPeople);
+}
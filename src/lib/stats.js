@@ -0,0 +1,72 @@
+// Community-wide numbers for the /stats page: how common each restriction
+// is, how severe, and which restrictions people tend to have together.
+// Restriction figures count approved members only - pending entries haven't
+// been checked yet.
+
+import { SEVERITY_LEVELS, normalizeSeverity } from './severity.js';
+import { getDirectoryRestrictions } from './directory-filters.js';
+
+// Pairs shown under "often together"
+export const TOP_COMBINATIONS = 10;
+
+function countBySeverity(restrictions) {
+  const counts = Object.fromEntries(SEVERITY_LEVELS.map(level => [level.id, 0]));
+  restrictions.forEach(r => {
+    counts[normalizeSeverity(r.severity, r.notes, r.item)]++;
+  });
+  return counts;
+}
+
+// [{ items: [a, b], count }] - how many members have both, most common first
+function countCombinations(members) {
+  const pairs = new Map();
+  members.forEach(member => {
+    const items = [...new Set(getDirectoryRestrictions(member).map(r => r.item))].sort();
+    items.forEach((a, i) => {
+      items.slice(i + 1).forEach(b => {
+        const key = JSON.stringify([a, b]);
+        pairs.set(key, (pairs.get(key) || 0) + 1);
+      });
+    });
+  });
+
+  return [...pairs.entries()]
+    .map(([key, count]) => ({ items: JSON.parse(key), count }))
+    .sort((a, b) => b.count - a.count || a.items.join().localeCompare(b.items.join()))
+    .slice(0, TOP_COMBINATIONS);
+}
+
+// {
+//   memberCount, approvedCount, pendingCount, unrestrictedCount,
+//   items: [{ item, count, bySeverity: { [severityId]: n } }],  most common first
+//   severities: { [severityId]: n },  every approved member's restrictions
+//   combinations: [{ items: [a, b], count }]
+// }
+export function buildCommunityStats(data) {
+  const approved = data.members.filter(member => member.approved);
+
+  const byItem = new Map();
+  approved.forEach(member => {
+    getDirectoryRestrictions(member).forEach(r => {
+      if (!byItem.has(r.item)) byItem.set(r.item, []);
+      byItem.get(r.item).push(r);
+    });
+  });
+
+  return {
+    memberCount: data.members.length,
+    approvedCount: approved.length,
+    pendingCount: data.members.length - approved.length,
+    unrestrictedCount: approved.filter(member => getDirectoryRestrictions(member).length === 0).length,
+    items: [...byItem.entries()]
+      .map(([item, restrictions]) => ({ item, count: restrictions.length, bySeverity: countBySeverity(restrictions) }))
+      .sort((a, b) => b.count - a.count || a.item.localeCompare(b.item)),
+    severities: countBySeverity(approved.flatMap(getDirectoryRestrictions)),
+    combinations: countCombinations(approved)
+  };
+}
+
+// "42%" of `total`, or "0%" when there's nothing to divide
+export function formatShare(value, total) {
+  return `${total > 0 ? Math.round((value / total) * 100) : 0}%`;
+}
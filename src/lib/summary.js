@@ -0,0 +1,280 @@
+// Build the meal summary shown in step 2 from the selected attendees, and
+// its plain-text version for copying and downloading. Multi-meal events
+// build one summary per meal and merge their airborne allergies.
+
+import { compareSeverity, severityRank, formatSeverity } from './severity.js';
+import { buildRestrictionTree } from './taxonomy.js';
+import { formatRecentChange } from './recent-changes.js';
+
+// ========================================
+// DIETARY RESTRICTIONS SORTING CONFIGURATION
+// ========================================
+// This controls the order that restrictions appear in the summary.
+// Edit this configuration to change sorting behavior.
+export const RESTRICTION_SORT_CONFIG = {
+  // Items in this list appear first, in the order specified
+  priorityItems: [
+    'Vegetarian',
+    'Vegan',
+    'gluten' // Special: matches any item containing "gluten" (case-insensitive)
+  ],
+
+  // After priority items, remaining items are sorted by:
+  // - Number of people affected (most to least)
+
+  // Items in this list appear last, in the order specified
+  bottomItems: [
+    'None'
+  ]
+};
+
+// Helper function to sort dietary restrictions based on config
+export function sortDietaryRestrictions(restrictionsArray) {
+  const config = RESTRICTION_SORT_CONFIG;
+
+  return restrictionsArray.sort((a, b) => {
+    const [itemA, peopleA] = a;
+    const [itemB, peopleB] = b;
+    const itemALower = itemA.toLowerCase();
+    const itemBLower = itemB.toLowerCase();
+
+    // Check if items are in priority list
+    let priorityA = -1;
+    let priorityB = -1;
+
+    config.priorityItems.forEach((priority, index) => {
+      const priorityLower = priority.toLowerCase();
+      // Check for exact match or partial match (for "gluten")
+      if (itemALower === priorityLower || itemALower.includes(priorityLower)) {
+        priorityA = index;
+      }
+      if (itemBLower === priorityLower || itemBLower.includes(priorityLower)) {
+        priorityB = index;
+      }
+    });
+
+    // Check if items are in bottom list
+    const bottomA = config.bottomItems.findIndex(item =>
+      itemALower === item.toLowerCase()
+    );
+    const bottomB = config.bottomItems.findIndex(item =>
+      itemBLower === item.toLowerCase()
+    );
+
+    // Priority items come first
+    if (priorityA !== -1 && priorityB === -1) return -1;
+    if (priorityA === -1 && priorityB !== -1) return 1;
+    if (priorityA !== -1 && priorityB !== -1) return priorityA - priorityB;
+
+    // Bottom items come last
+    if (bottomA !== -1 && bottomB === -1) return 1;
+    if (bottomA === -1 && bottomB !== -1) return -1;
+    if (bottomA !== -1 && bottomB !== -1) return bottomA - bottomB;
+
+    // For everything else, sort by number of people (descending)
+    return peopleB.length - peopleA.length;
+  });
+}
+// ========================================
+
+export function isNoneItem(item) {
+  return item.toLowerCase() === 'none';
+}
+
+// "Dana (guest)" for ad-hoc guests who aren't in the sheet
+export function formatPersonName(person) {
+  return person.guest ? `${person.name} (guest)` : person.name;
+}
+
+// Event meals without a name are numbered: "Meal 2"
+export function getMealLabel(meal, index) {
+  return meal.name || `Meal ${index + 1}`;
+}
+
+export function formatPeopleCount(count) {
+  return `${count} ${count === 1 ? 'person' : 'people'}`;
+}
+
+// Plain-text version of summary.otherTree, nesting specific items under
+// their parent
+function formatRestrictionTreeAsText(nodes, indent = '') {
+  return nodes.map(node => {
+    let text = node.children.length > 0
+      ? `${indent}${node.item} (${formatPeopleCount(node.peopleCount)})\n`
+      : `${indent}${node.item}\n`;
+    node.people.forEach(p => {
+      const detail = isNoneItem(node.item) ? '' : formatSeverity(p.severity, p.notes, node.item);
+      text += `${indent}  - ${p.name}${detail}${formatRecentChange(p.changedAt)}\n`;
+    });
+    return text + formatRestrictionTreeAsText(node.children, `${indent}  `);
+  }).join('');
+}
+
+// Summary for one meal, or null if nobody is attending. `attendees` are
+// lowercase member names; `guests` are ad-hoc guests with their own
+// restrictions.
+export function buildSummary(members, attendees, mealName, guests = []) {
+  const attendeeData = [
+    ...members.filter(m => attendees.includes(m.name.toLowerCase())),
+    ...guests
+  ].map(person => ({
+    ...person,
+    // Filter out "Attending?" restriction entries, most severe first
+    restrictions: person.restrictions
+      .filter(r => !r.item.toLowerCase().includes('attending'))
+      .sort(compareSeverity)
+  }));
+
+  if (attendeeData.length === 0) {
+    return null;
+  }
+
+  // Group airborne allergies
+  const airborneMap = new Map();
+  attendeeData.forEach(person => {
+    person.restrictions
+      .filter(r => r.severity === "airborne")
+      .forEach(r => {
+        if (!airborneMap.has(r.item)) {
+          airborneMap.set(r.item, []);
+        }
+        airborneMap.get(r.item).push({
+          name: person.name,
+          notes: r.notes,
+          changedAt: r.changedAt
+        });
+      });
+  });
+
+  // Group other restrictions
+  const otherMap = new Map();
+  attendeeData.forEach(person => {
+    person.restrictions
+      .filter(r => r.severity !== "airborne")
+      .forEach(r => {
+        if (!otherMap.has(r.item)) {
+          otherMap.set(r.item, []);
+        }
+        otherMap.get(r.item).push({
+          name: person.name,
+          severity: r.severity,
+          notes: r.notes,
+          changedAt: r.changedAt
+        });
+      });
+  });
+
+  // Add people with no restrictions to "None" category
+  attendeeData.forEach(person => {
+    if (person.restrictions.length === 0) {
+      if (!otherMap.has('None')) {
+        otherMap.set('None', []);
+      }
+      otherMap.get('None').push({
+        name: person.name,
+        severity: 'preference',
+        notes: 'None'
+      });
+    }
+  });
+
+  // Most severe people first within each item
+  otherMap.forEach((people, item) => people.sort((a, b) =>
+    severityRank(a.severity, a.notes, item) - severityRank(b.severity, b.notes, item)
+  ));
+
+  // Sort other restrictions using the configuration
+  const sortedOther = sortDietaryRestrictions(Array.from(otherMap.entries()));
+
+  return {
+    mealName,
+    attendees: attendeeData.map(formatPersonName),
+    airborne: Array.from(airborneMap.entries()),
+    other: sortedOther,
+    // Same items with specific allergens nested under their parent
+    otherTree: buildRestrictionTree(sortedOther),
+    byPerson: attendeeData
+  };
+}
+
+export function formatSummaryAsText(summary) {
+  let text = summary.mealName
+    ? `Dietary Summary - ${summary.mealName}\n\n`
+    : "Dietary Summary\n\n";
+
+  text += `Attendees: ${summary.attendees.length} (${summary.attendees.join(', ')})\n\n`;
+
+  if (summary.airborne.length > 0) {
+    text += "⚠️  AIRBORNE ALLERGIES ⚠️\n";
+    text += "==========================================\n";
+    summary.airborne.forEach(([item, people]) => {
+      text += `${item}\n`;
+      people.forEach(p => {
+        text += `  - ${p.name}${formatRecentChange(p.changedAt)}\n`;
+      });
+    });
+    text += "\n";
+  }
+
+  if (summary.other.length > 0) {
+    text += "Dietary Restrictions:\n";
+    text += formatRestrictionTreeAsText(summary.otherTree);
+    text += "\n";
+  }
+
+  text += "Restrictions by Person:\n";
+  summary.byPerson.forEach(person => {
+    const restrictions = person.restrictions.map(r => {
+      const severity = isNoneItem(r.item) ? '' : formatSeverity(r.severity, r.notes, r.item);
+      return `${r.item}${severity}${formatRecentChange(r.changedAt)}`;
+    });
+    text += `- ${formatPersonName(person)}: ${restrictions.join(', ') || 'None'}\n`;
+  });
+
+  return text;
+}
+
+// Every airborne allergy across an event's meal summaries:
+// [[item, [{ name, notes, changedAt, meals: [mealName, ...] }]], ...]
+export function mergeAirborne(summaries) {
+  const merged = new Map();
+  summaries.forEach(summary => {
+    summary.airborne.forEach(([item, people]) => {
+      if (!merged.has(item)) {
+        merged.set(item, new Map());
+      }
+      const byName = merged.get(item);
+      people.forEach(p => {
+        if (!byName.has(p.name)) {
+          byName.set(p.name, { ...p, meals: [] });
+        }
+        byName.get(p.name).meals.push(summary.mealName);
+      });
+    });
+  });
+
+  return Array.from(merged.entries()).map(([item, byName]) => [item, Array.from(byName.values())]);
+}
+
+// The whole event: merged airborne allergies, then each meal's summary
+export function formatEventAsText(summaries) {
+  let text = "Event Dietary Summary\n\n";
+  text += `Meals: ${summaries.length} (${summaries.map(s => s.mealName).join(', ')})\n\n`;
+
+  const airborne = mergeAirborne(summaries);
+  if (airborne.length > 0) {
+    text += "⚠️  AIRBORNE ALLERGIES - ALL MEALS ⚠️\n";
+    text += "==========================================\n";
+    airborne.forEach(([item, people]) => {
+      text += `${item}\n`;
+      people.forEach(p => {
+        text += `  - ${p.name} (${p.meals.join(', ')})${formatRecentChange(p.changedAt)}\n`;
+      });
+    });
+    text += "\n";
+  }
+
+  return text + summaries
+    .map(summary => `------------------------------------------\n${formatSummaryAsText(summary)}`)
+    .join('\n');
+}
@@ -0,0 +1,165 @@
+// Allergen hierarchy from src/data/allergen-taxonomy.json (parent -> more
+// specific children). Links an almond allergy to a tree-nut allergy for
+// dish and ingredient checks, and rolls specific items up under their
+// parent in the summary.
+
+import allergenTaxonomy from '../data/allergen-taxonomy.json';
+
+// "Almonds", "almond " and "ALMOND" are the same item
+function taxonomyKey(item) {
+  return item.trim().toLowerCase().replace(/(?<!s)s$/, '');
+}
+
+export function isSameItem(a, b) {
+  return taxonomyKey(a) === taxonomyKey(b);
+}
+
+export function createTaxonomy(config) {
+  const parents = new Map(); // child key -> parent name
+  const children = new Map(); // parent key -> [child names]
+
+  Object.entries(config).forEach(([parent, kids]) => {
+    const parentKey = taxonomyKey(parent);
+    children.set(parentKey, [...(children.get(parentKey) || []), ...kids]);
+
+    kids.forEach(child => {
+      const existing = parents.get(taxonomyKey(child));
+      if (existing && !isSameItem(existing, parent)) {
+        throw new Error(`"${child}" is listed under both "${existing}" and "${parent}"`);
+      }
+      parents.set(taxonomyKey(child), parent);
+    });
+  });
+
+  parents.forEach((_, key) => {
+    const seen = new Set([key]);
+    for (let parent = parents.get(key); parent; parent = parents.get(taxonomyKey(parent))) {
+      if (seen.has(taxonomyKey(parent))) {
+        throw new Error(`Allergen taxonomy has a cycle through "${parent}"`);
+      }
+      seen.add(taxonomyKey(parent));
+    }
+  });
+
+  return { parents, children };
+}
+
+const DEFAULT_TAXONOMY = createTaxonomy(allergenTaxonomy);
+
+// Nearest first: "Shrimp" -> ["Crustaceans", "Shellfish"]
+export function getAncestors(item, taxonomy = DEFAULT_TAXONOMY) {
+  const ancestors = [];
+  for (let parent = taxonomy.parents.get(taxonomyKey(item)); parent; parent = taxonomy.parents.get(taxonomyKey(parent))) {
+    ancestors.push(parent);
+  }
+  return ancestors;
+}
+
+// Depth-first: "Shellfish" -> ["Crustaceans", "Crab", ..., "Mollusks", ...]
+export function getDescendants(item, taxonomy = DEFAULT_TAXONOMY) {
+  return (taxonomy.children.get(taxonomyKey(item)) || []).flatMap(child => [
+    child,
+    ...getDescendants(child, taxonomy)
+  ]);
+}
+
+// Whether a dish containing `a` matters to someone avoiding `b`: the same
+// item, or one is a more specific kind of the other. Siblings (almonds and
+// walnuts) don't overlap.
+export function itemsOverlap(a, b, taxonomy = DEFAULT_TAXONOMY) {
+  return isSameItem(a, b) ||
+         getAncestors(a, taxonomy).some(ancestor => isSameItem(ancestor, b)) ||
+         getAncestors(b, taxonomy).some(ancestor => isSameItem(ancestor, a));
+}
+
+// Sheet items, each followed by its more specific taxonomy items
+export function expandWithDescendants(items, taxonomy = DEFAULT_TAXONOMY) {
+  const expanded = [];
+  items.forEach(item => {
+    [item, ...getDescendants(item, taxonomy)].forEach(candidate => {
+      if (!expanded.some(existing => isSameItem(existing, candidate))) {
+        expanded.push(candidate);
+      }
+    });
+  });
+  return expanded;
+}
+
+// matchIngredients() reports "walnut" under both "Nuts" and "Walnuts". Keep
+// only the most specific item for each ingredient, so an almond allergy
+// isn't flagged for walnuts.
+export function preferSpecificMatches(matches, taxonomy = DEFAULT_TAXONOMY) {
+  return matches
+    .map(match => {
+      const descendants = getDescendants(match.item, taxonomy);
+      const coveredBySpecific = matches
+        .filter(other => descendants.some(d => isSameItem(d, other.item)))
+        .flatMap(other => other.ingredients);
+
+      return {
+        ...match,
+        ingredients: match.ingredients.filter(ingredient => !coveredBySpecific.includes(ingredient))
+      };
+    })
+    .filter(match => match.ingredients.length > 0);
+}
+
+// Roll `summary.other` ([[item, people], ...]) up into a tree:
+// [{ item, people, children, peopleCount }]. Parents that nobody listed
+// directly are added so "Almonds" and "Cashews" appear under "Nuts", unless
+// only one child would sit under them. `peopleCount` counts everyone in the
+// subtree once. Top-level items keep the order of `other`.
+export function buildRestrictionTree(other, taxonomy = DEFAULT_TAXONOMY) {
+  const nodes = new Map();
+
+  const getNode = (item) => {
+    const key = taxonomyKey(item);
+    if (!nodes.has(key)) {
+      nodes.set(key, { item, people: [], children: [], listed: false, hasParent: false, order: Infinity });
+    }
+    return nodes.get(key);
+  };
+
+  other.forEach(([item, people], index) => {
+    const node = getNode(item);
+    Object.assign(node, { item, people, listed: true, order: index });
+
+    let child = node;
+    getAncestors(item, taxonomy).forEach(ancestor => {
+      const parent = getNode(ancestor);
+      if (!parent.children.includes(child)) {
+        parent.children.push(child);
+      }
+      child.hasParent = true;
+      child = parent;
+    });
+  });
+
+  const finish = (node) => {
+    const children = node.children.map(finish);
+    const names = new Set(node.people.map(p => p.name));
+    children.forEach(child => child.names.forEach(name => names.add(name)));
+
+    children.sort((a, b) => b.names.size - a.names.size || a.order - b.order);
+    const order = Math.min(node.order, ...children.map(child => child.order));
+
+    // An unlisted parent with a single child adds nothing
+    if (!node.listed && children.length === 1) {
+      return children[0];
+    }
+    return { item: node.item, people: node.people, children, names, order };
+  };
+
+  const strip = ({ item, people, children, names }) => ({
+    item,
+    people,
+    children: children.map(strip),
+    peopleCount: names.size
+  });
+
+  return [...nodes.values()]
+    .filter(node => !node.hasParent)
+    .map(finish)
+    .sort((a, b) => a.order - b.order)
+    .map(strip);
+}